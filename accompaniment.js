@@ -1,6 +1,15 @@
  
-var mSol = [], pDur = 16;
-var play = require("play");
+var mSol = [];
+var play = require("./play");
+var talas = require("./tala");
+var korvai = require("./korvai");
+var midiImport = require("./midiImport");
+var offline = require("./offlineRender");
+var generator = require("./patternGenerator");
+var library = require("./patternLibrary");
+var metrics = require("./distanceMetrics");
+var selection = require("./patternSelection");
+var roles = require("./roles");
  
 var AC = play.audioContext;
 var sh = play.scheduler;
@@ -11,29 +20,265 @@ var input = null;
 
 document.getElementById('tempo').addEventListener( "change", function(){		
 		tempo = document.getElementById("tempo").value;
-		//set delay range to 30ms
-		delay_range = (2 *tempo )/ 600;
 	}); 
 
+//milliseconds a hit of the lead can be off the grid and still be on it, see inputQuantizer.js
+document.getElementById("tolerance").addEventListener("change",function(){
+    try{
+	play.setTolerance(parseFloat(document.getElementById("tolerance").value));
+    }
+    catch(err){
+	alert(err.message);
+    }
+},false);
+
+//the accompaniment follows the tempo of the lead, or keeps to the tempo field when unchecked
+document.getElementById("followTempo").addEventListener("change",function(){
+    play.followTempo(document.getElementById("followTempo").checked);
+},false);
+
 var play_pattern = document.getElementById('play');			
 play_pattern.addEventListener("click", playKanjira , true);
 
 document.getElementById("stop").addEventListener("click",stop,false);
 
+//tani avartanam, the kanjira trades phrases with the lead (see koraippu.js)
+document.getElementById("koraippu").addEventListener("click",function(){
+    startLead();
+    play.playKoraippu();
+},false);
+
 document.getElementById("Midi").addEventListener("click",function (){
     window.navigator.requestMIDIAccess().then( success, failure);
 },false);
 
 
+function download(bytes, type, name){
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([bytes], {type: type}));
+    link.download = name;
+    link.click();
+}
+
+//fetches a file as bytes for offlineRender.loadKit
+function readFile(url, callback){
+    var request = new XMLHttpRequest();
+    request.open('GET', url, true);
+    request.responseType = "arraybuffer";
+    request.onload = function(){
+	callback(null, new Uint8Array(request.response));
+    };
+    request.onerror = function(){
+	callback(new Error("could not load " + url));
+    };
+    request.send();
+}
+
+//saves what was played since Play was pressed as a MIDI file
+document.getElementById("exportMidi").addEventListener("click",function(){
+    download(play.exportMidi(), "audio/midi", "session.mid");
+},false);
+
+//renders what was played since Play was pressed to a WAV file
+document.getElementById("renderWav").addEventListener("click",function(){
+    var events = play.sessionEvents();
+    offline.loadKit(readFile, function(err, kit){
+	if(err){
+	    alert(err.message);
+	    return;
+	}
+	download(offline.toWav(events, kit), "audio/wav", "session.wav");
+    }, events.map(function(e){
+	return e.stroke;
+    }));
+},false);
+
+//starts the accompaniment with a recorded lead (a MIDI file of mridangam strokes) instead of live input
+document.getElementById("playLead").addEventListener("click",function(){
+    var file = document.getElementById("leadFile").files[0];
+    if(!file){
+	return;
+    }
+    var reader = new FileReader();
+    reader.onload = function(){
+	var hits;
+	try{
+	    hits = midiImport.toHits(reader.result);
+	}
+	catch(err){
+	    alert(err.message);
+	    return;
+	}
+	playKanjira();
+	play.playLead(hits);
+    };
+    reader.readAsArrayBuffer(file);
+},false);
+
+//keeps the labelled pairs in localStorage and saves them for trainWeights.js
 document.getElementById("dump").addEventListener("click",function(){
-    var typ = document.getElementById("patType").value;
-    var loc = window.location.pathname;
-    var str = loc + " -- " + typ;
-    if(typ == "a"){
-	
-	localStorage.setItem(str,acceptable);
+    var text = JSON.stringify(play.judgmentFile(), null, 2);
+    localStorage.setItem(window.location.pathname + " -- judgments", text);
+    download(text, "application/json", "judgments.json");
+},false);
+
+//replaces the distance weights with a file written by trainWeights.js
+document.getElementById("loadWeights").addEventListener("click",function(){
+    var url = document.getElementById("weights").value;
+    play.loadWeights(url, function(err){
+	if(err){
+	    alert(err.message);
+	}
+    });
+},false);
+
+//ranks the patterns by how naturally they follow the ones played before as well, see trainTransitions.js
+document.getElementById("loadTransitions").addEventListener("click",function(){
+    var url = document.getElementById("transitions").value;
+    play.loadTransitions(url, function(err){
+	if(err){
+	    alert(err.message);
+	}
+    });
+},false);
+
+//how much the transitions count against the distance to the lead, from 0 to 1
+document.getElementById("continuity").addEventListener("change",function(){
+    try{
+	selection.setContinuity(parseFloat(document.getElementById("continuity").value));
+    }
+    catch(err){
+	alert(err.message);
+    }
+},false);
+
+//saves the patterns the accompaniment played as a performance that trainTransitions.js learns from
+document.getElementById("saveSession").addEventListener("click",function(){
+    download(JSON.stringify(play.sessionPerformance(), null, 2), "application/json", "session.json");
+},false);
+
+
+//tala and eduppu (in aksharas from samam) used by the player
+function selectTala(){
+    try{
+	talas.select(document.getElementById("tala").value, parseFloat(document.getElementById("eduppu").value) || 0);
+    }
+    catch(err){
+	alert(err.message);
+    }
+}
+
+document.getElementById("tala").addEventListener("change",selectTala,false);
+document.getElementById("eduppu").addEventListener("change",selectTala,false);
+
+//distance metric used to choose accompaniment patterns, a name or weights such as {"weighted": 1, "accent": 0.5}
+document.getElementById("metric").addEventListener("change",function(){
+    try{
+	metrics.select(document.getElementById("metric").value);
     }
-    else localStorage.setItem(str,unacceptable);
+    catch(err){
+	alert(err.message);
+    }
+},false);
+
+//how the accompaniment picks among the patterns by their distance to the lead, see patternSelection.js
+document.getElementById("policy").addEventListener("change",function(){
+    try{
+	selection.select(document.getElementById("policy").value);
+    }
+    catch(err){
+	alert(err.message);
+    }
+},false);
+
+//what the accompaniment aims for against the lead, see roles.js
+document.getElementById("role").addEventListener("change",function(){
+    try{
+	roles.select(document.getElementById("role").value.trim());
+    }
+    catch(err){
+	alert(err.message);
+    }
+},false);
+
+//queues a mora or korvai that lands on samam
+function queueEnding(make){
+    var tala = talas.current();
+    try{
+	play.queuePattern(make(tala, 4, tala.eduppu, {maxCycles: 3}).entry);
+    }
+    catch(err){
+	alert(err.message);
+    }
+}
+
+document.getElementById("mora").addEventListener("click",function(){
+    queueEnding(korvai.mora);
+},false);
+
+document.getElementById("korvai").addEventListener("click",function(){
+    queueEnding(korvai.korvai);
+},false);
+
+var generated = null, saved = []; //last generated variant and the variants saved to the library
+
+//reads a list of positions such as [1,4,5], null when the field is empty
+function positions(id){
+    var value = document.getElementById(id).value.trim();
+    return value == "" ? null : JSON.parse(value);
+}
+
+function number(id){
+    return parseFloat(document.getElementById(id).value) || 0;
+}
+
+//makes a variant of the kanjira pattern given in PatternID (a random one if empty) with the generic pattern settings
+document.getElementById("generate").addEventListener("click",function(){
+    var id = parseInt(document.getElementById("patternID").value, 10);
+    try{
+	generated = generator.variant(generator.seed(play.patterns("kanjira"), id), {
+	    genericity: number("genericity"),
+	    accents: positions("loudnessArr"),
+	    numAccents: number("loud"),
+	    rests: positions("restArr"),
+	    numRests: number("rests"),
+	    speed: positions("speedArr"),
+	    numSpeed: number("speed"),
+	    offset: number("offset")
+	});
+    }
+    catch(err){
+	alert(err.message);
+	return;
+    }
+    document.getElementById("kanjira").value = play.entryText(generated);
+},false);
+
+document.getElementById("audition").addEventListener("click",function(){
+    if(generated){
+	play.audition(generated);
+    }
+},false);
+
+//adds the variant to the kanjira patterns and keeps the saved variants as a library file in localStorage
+document.getElementById("save").addEventListener("click",function(){
+    if(!generated){
+	return;
+    }
+    play.addPattern("kanjira", generated);
+    saved.push(generated);
+    var lib = library.toLibrary("kanjira", talas.current().name, saved, {source: "patternGenerator.js"});
+    localStorage.setItem("generated kanjira patterns", JSON.stringify(lib));
+    generated = null;
+},false);
+
+document.getElementById("loadLibrary").addEventListener("click",function(){
+    var url = document.getElementById("library").value;
+    play.loadLibrary(url, function(err, lib){
+	if(err){
+	    alert(err.message);
+	}
+    });
 },false);
 
 
@@ -45,6 +290,8 @@ function stop(){
     else{
 		gain.gain.value = 0;
 		gain.disconnect();
+		//stopping labels the pattern that was playing, "ua" for unacceptable and "a" for acceptable
+		play.judge(document.getElementById("patType").value == "ua" ? "unacceptable" : "acceptable");
     }
 }
 
@@ -58,6 +305,12 @@ document.getElementById("resume").addEventListener("click",function(){
 
 function onMIDIMessage( event){
     
+    //the role controller switches the role of the accompaniment
+    if((event.data[0] & 0xf0) == 0xb0 && event.data[1] == roles.controller){
+	document.getElementById("role").value = roles.select(roles.fromController(event.data[2]));
+	return;
+    }
+
     //midi format -- note on off, velocity, note number
     //console.log( event.data[0] + " " + event.data[1] + " " + event.data[2] );
     var stroke = mapMridangamKey(event.data[1]);
@@ -110,7 +363,14 @@ function failure(msg){
 }
 
 
+//the kanjira accompanies the lead, picking a pattern for each cycle (see play.js)
 function playKanjira(){
+    startLead();
+    play.playAcc("kanjira", [], [], []);
+}
+
+//starts the session, the lead input and the tala, the kanjira is started on its own by playKanjira or the koraippu button
+function startLead(){
     sh.running = true; 
     gain.connect(AC.destination);    
     //var dur = 300 * (60/tempo);
@@ -120,10 +380,11 @@ function playKanjira(){
     //keep looping mridangamkey for everykey
     //var mrkey = sh.loop(sh.track( [mridangamKey, sh.delay(60/tempo)]));
 
+    play.startSession();
     play.keyPress();
+    play.playTala();
     //ensure that only what was recently played is sent
     
-    //play.playAcc("mridangam", mSol.slice(mSol.length - pDur, mSol.length), [1], [0,0,4]); //triggers the stroked to be played in the output
-    //play.playAcc("kanjira", [], [], []);
+    //play.playAcc("mridangam", mSol.slice(mSol.length - talas.current().units, mSol.length), [1], [0,0,4]); //triggers the stroked to be played in the output
 }
 
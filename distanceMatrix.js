@@ -0,0 +1,122 @@
+/*
+
+Computes the distance between every lead (mridangam) pattern and every
+accompaniment (kanjira) pattern of two libraries from the command line
+
+node distanceMatrix.js                                  -> patterns/mridangam.json x patterns/kanjira.json as CSV
+node distanceMatrix.js --lead a.json --acc b.json       -> other libraries
+node distanceMatrix.js --metric accent --format json --out matrix.json
+node distanceMatrix.js --metric '{"weighted": 1, "edit": 0.5}'      -> metrics of distanceMetrics.js combined with weights
+
+Each row has the ids of both patterns, the nadai and eduppu of the accompaniment,
+the total distance and the distance of each gati segment of the accompaniment
+(d1, d2, d3, ... in the order they are played, 0 for empty segments).
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var library = require("./patternLibrary");
+var rhythm = require("./rhythmObject");
+var distance = require("./patternDistance");
+var metrics = require("./distanceMetrics");
+var talas = require("./tala");
+
+var rhythmPattern = rhythm.rhythmPattern;
+
+function readLibrary(file){
+    return library.fromJSON(fs.readFileSync(file, "utf8"));
+}
+
+//distance of every lead pattern to every accompaniment pattern
+function matrix(lead, acc, metric){
+    var rows = [];
+    lead.entries.forEach(function(m, i){
+	var mr = rhythmPattern(m[0], m[2], m[1], m[3], lead.instrument)[1];
+	acc.entries.forEach(function(k, j){
+	    var kan = rhythmPattern(k[0], k[2], k[1], k[3], acc.instrument)[1];
+	    var d = distance.compare(mr, kan, metric);
+	    rows.push({
+		lead: lead.ids[i],
+		accompaniment: acc.ids[j],
+		nadai: k[1],
+		eduppu: k[3],
+		distance: d[0],
+		segments: d[1]
+	    });
+	});
+    });
+    return rows;
+}
+
+//quotes a CSV field when it holds a comma or a quote
+function field(value){
+    var s = String(value);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCSV(rows){
+    var count = rows.reduce(function(n, r){ return Math.max(n, r.segments.length); }, 0);
+    var header = ["lead", "accompaniment", "nadai", "eduppu", "distance"];
+    for(var i=1; i<=count; i++){
+	header.push("d" + i);
+    }
+    return [header.join(",")].concat(rows.map(function(r){
+	var cells = [r.lead, r.accompaniment, JSON.stringify(r.nadai), r.eduppu, r.distance];
+	for(var i=0; i<count; i++){
+	    cells.push(i < r.segments.length ? r.segments[i] : "");
+	}
+	return cells.map(field).join(",");
+    })).join("\n") + "\n";
+}
+
+function main(args){
+    var options = {
+	lead: path.join(__dirname, "patterns", "mridangam.json"),
+	acc: path.join(__dirname, "patterns", "kanjira.json"),
+	metric: metrics.current(),
+	format: "csv",
+	out: null
+    };
+    for(var i=0; i<args.length; i++){
+	var key = args[i].replace(/^--/, "");
+	if(!(key in options) || i + 1 >= args.length){
+	    console.error("usage: node distanceMatrix.js [--lead file] [--acc file] [--metric name] [--format csv|json] [--out file]");
+	    process.exit(1);
+	}
+	options[key] = args[++i];
+    }
+
+    var lead, acc;
+    try{
+	metrics.resolve(options.metric);
+	lead = readLibrary(options.lead);
+	acc = readLibrary(options.acc);
+	if(talas.lookup(lead.tala).units != talas.lookup(acc.tala).units){
+	    throw new Error(options.lead + " is in " + lead.tala + " but " + options.acc + " is in " + acc.tala);
+	}
+	talas.select(acc.tala);
+    }
+    catch(err){
+	console.error(err.message);
+	process.exit(1);
+    }
+
+    var rows = matrix(lead, acc, options.metric);
+    var text = options.format == "json" ? JSON.stringify({
+	lead: options.lead,
+	accompaniment: options.acc,
+	tala: acc.tala,
+	metric: options.metric,
+	rows: rows
+    }, null, 2) + "\n" : toCSV(rows);
+
+    if(options.out){
+	fs.writeFileSync(options.out, text);
+    }
+    else{
+	process.stdout.write(text);
+    }
+}
+
+main(process.argv.slice(2));
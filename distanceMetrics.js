@@ -0,0 +1,236 @@
+/*
+
+Distance metrics module -- the measures patternDistance.js uses to compare the lead
+(mridangam) with the accompaniment (kanjira).
+
+Patterns are compared one gati segment of the accompaniment at a time. A metric is
+function(m, k, info) -> distance, where m and k are {weights, strokes}
+
+weights -> weight of each position of a grid common to both patterns, 0 where nothing is played
+strokes -> strokes played in the segment in order, "." for rests
+info    -> {segment, offset}, the gati segment (see rhythmObject.js) and the eduppu of the
+           accompaniment in units, so that positions can be placed in the tala
+
+Metrics:
+
+weighted    -> weighted onset distance, sum of the differences of the weights
+accent      -> accent structure mismatch, weight difference where the accent structures
+               (see createAccent) disagree, as in autoAccompaniment.js
+density     -> onset density ratio, 0 when both play as many strokes and 1 when one is silent
+syncopation -> difference in syncopation, an onset counts more the further it is from the akshara
+edit        -> edit distance of the stroke sequences, another stroke costs 0.5 and a stroke against a rest 1
+
+Metrics for the roles of roles.js, where the accompaniment does not follow the lead:
+
+complement  -> share of the weight of the accompaniment that falls on onsets of the lead, 1 when it is silent
+contrast    -> 0 when one plays many times as many strokes as the other, 1 when both play as many
+sparse      -> share of the slots the accompaniment plays, plus its syncopation (out of 1)
+
+Metrics are given by name or combined with weights, eg: {"weighted": 1, "accent": 0.5}.
+select() sets the one the accompaniment uses, from the metric input of autoAccompaniment.html.
+
+*/
+
+var utils = require("./utilities");
+var instruments = require("./instruments");
+var modnum = utils.modnum;
+var maxi = utils.maxi;
+var sum = utils.sum;
+
+var registry = {};
+
+//adds a metric, fn(m, k, info) -> distance
+function register(name, fn){
+    registry[name] = fn;
+}
+
+function names(){
+    return Object.keys(registry);
+}
+
+//1 for each position that is stronger than its neighbours after they are contrasted
+function createAccent( fAccent){
+
+    var w1 = instruments.accentWeights.back, w2 = instruments.accentWeights.front, clap = instruments.weight("clap");
+	var duration = fAccent.length;
+	var contrastedArr = fAccent.map(function(s,index,arr){
+	    if(index == 0){
+		return 1*s - w2*arr[(index+1)%duration] - w1*arr[modnum(duration,index,1)] + clap;
+	    }
+	    if (index == duration - 1){//last beat
+		return 1*s - w1*arr[modnum(duration,index,1)] - w2*clap;
+	    }
+	    else return 1*s - w1*arr[modnum(duration,index,1)] - w2*arr[(index+1)%duration];
+	});
+
+
+    var accentStruct = contrastedArr.map(function(s,index,arr){
+
+	    if( index == 0){
+		if( s > arr[index+1]){
+		    return 1;
+		}
+		else return 0;
+	    }
+	    else if( index == duration - 1){
+		if( s > arr[index-1]){
+		    return 1;
+		}
+		else return 0;
+	    }
+	    else{
+		var max = maxi(s,arr[modnum(duration,index,1)],arr[(index+1)%duration]);
+		if( max != -1 && max == s && s!=0){
+		    return 1;
+		}
+		else{
+		    return 0;
+		}
+	    }
+
+	});
+
+	return accentStruct;
+
+}
+
+function onsets(strokes){
+    return strokes.filter(function(s){
+	return s != ".";
+    }).length;
+}
+
+//how far a position of the grid is from the akshara, 0 on the akshara, 1 on its half,
+//2 on its quarters and 3 anywhere else
+function metricLevel(index, length, info){
+    var seg = info.segment;
+    var unit = utils.modovr(info.offset + seg.unitStart + index * seg.units / length, 4);
+    var near = function(x){
+	return Math.abs(unit - x) < 1e-9;
+    };
+    if(near(0) || near(4)){
+	return 0;
+    }
+    if(near(2)){
+	return 1;
+    }
+    return near(1) || near(3) ? 2 : 3;
+}
+
+//mean metric level of the onsets, weighted by how strong they are
+function syncopation(weights, info){
+    var total = 0, level = 0;
+    weights.forEach(function(w, index){
+	if(w > 0){
+	    total += w;
+	    level += w * metricLevel(index, weights.length, info);
+	}
+    });
+    return total > 0 ? level / total : 0;
+}
+
+register("weighted", function(m, k){
+    return m.weights.map(function(s,index){
+	return Math.abs(s - k.weights[index]); //arr2 - s to note that kanjira playing more strokes escalates value
+    }).reduce(sum, 0);
+});
+
+register("accent", function(m, k){
+    var acc1 = createAccent(m.weights);
+    var acc2 = createAccent(k.weights);
+    return m.weights.map(function(s,index){
+	return Math.abs(acc1[index] - acc2[index]) * Math.abs(s - k.weights[index]);
+    }).reduce(sum, 0);
+});
+
+register("density", function(m, k){
+    var a = onsets(m.strokes), b = onsets(k.strokes);
+    return Math.max(a, b) == 0 ? 0 : 1 - Math.min(a, b) / Math.max(a, b);
+});
+
+register("syncopation", function(m, k, info){
+    return Math.abs(syncopation(m.weights, info) - syncopation(k.weights, info));
+});
+
+register("edit", function(m, k){
+    var a = m.strokes, b = k.strokes;
+    function cost(x, y){
+	if(x == y){
+	    return 0;
+	}
+	return x == "." || y == "." ? 1 : 0.5;
+    }
+    var row = [];
+    for(var j=0; j<=b.length; j++){
+	row.push(j);
+    }
+    for(var i=1; i<=a.length; i++){
+	var prev = row.slice();
+	row[0] = i;
+	for(var j=1; j<=b.length; j++){
+	    row[j] = Math.min(prev[j] + 1, row[j-1] + 1, prev[j-1] + cost(a[i-1], b[j-1]));
+	}
+    }
+    return row[b.length];
+});
+
+register("complement", function(m, k){
+    var total = k.weights.reduce(sum, 0);
+    if(total == 0){
+	return 1;
+    }
+    return k.weights.filter(function(w, index){
+	return m.weights[index] > 0;
+    }).reduce(sum, 0) / total;
+});
+
+register("contrast", function(m, k){
+    var a = onsets(m.strokes), b = onsets(k.strokes);
+    return Math.max(a, b) == 0 ? 1 : Math.min(a, b) / Math.max(a, b);
+});
+
+register("sparse", function(m, k, info){
+    return (k.strokes.length == 0 ? 0 : onsets(k.strokes) / k.strokes.length) + syncopation(k.weights, info) / 3;
+});
+
+//returns the metric function for a spec, a name, an object of weights such as
+//{"weighted": 1, "accent": 0.5} or the same object as JSON text
+function resolve(spec){
+    if(typeof spec == "string" && spec.trim().charAt(0) == "{"){
+	spec = JSON.parse(spec);
+    }
+    if(typeof spec == "string"){
+	if(!registry[spec]){
+	    throw new Error("unknown distance metric '" + spec + "', known ones are " + names().join(", "));
+	}
+	return registry[spec];
+    }
+    var parts = Object.keys(spec).map(function(name){
+	return {fn: resolve(name), weight: spec[name]};
+    });
+    return function(m, k, info){
+	return parts.map(function(p){
+	    return p.weight * p.fn(m, k, info);
+	}).reduce(sum, 0);
+    };
+}
+
+//metric used by the accompaniment
+var current = "weighted";
+
+function select(spec){
+    resolve(spec);
+    current = spec;
+    return current;
+}
+
+function getCurrent(){
+    return current;
+}
+
+exports.register = register;
+exports.names = names;
+exports.createAccent = createAccent;
+exports.resolve = resolve;
+exports.select = select;
+exports.current = getCurrent;
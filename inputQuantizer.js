@@ -0,0 +1,90 @@
+/*
+
+Input quantizer -- places the hits of the lead on the grid it is heard on (a slot every
+half unit, see play.js) without losing any, and keeps how far each hit was off the grid.
+
+Hits are buffered with the time they were played at (seconds, on the audio clock) and
+taken in by tick(), called on every point of the grid. A hit within options.tolerance of
+a grid point is on the grid and goes to the slot of that point. A hit further from the
+grid falls between two points and goes to the slot it falls in, after the stroke on the
+point, so a slot with more than one stroke is a group played at a faster speed (see
+slotGroup in rhythmObject.js):
+
+num          -> a hit on the point
+[num, ki]    -> a hit on the point and one between it and the next
+[., ki]      -> a hit between the points only
+
+Hits that arrive after their slot was ticked (late, or between two points) amend it at
+the next tick. A quantizer is {tolerance, pending, slots, hits}
+
+slots -> [{time, on, between, loudness}], the slots ticked so far, on and between are the
+         strokes on the grid point and after it
+hits  -> [{stroke, time, loudness, velocity, slot, deviation, onGrid}], every hit placed,
+         deviation is the time from the nearest grid point in seconds, < 0 when early
+
+*/
+
+//options.tolerance -> seconds a hit can be off a grid point and still be on it (30ms by default)
+function create(options){
+    options = options || {};
+    return {
+	tolerance: options.tolerance === undefined ? 0.03 : options.tolerance,
+	pending: [],
+	slots: [],
+	hits: []
+    };
+}
+
+//buffers a hit of the lead played at time (seconds)
+function add(quantizer, stroke, time, loudness, velocity){
+    quantizer.pending.push({stroke: stroke, time: time, loudness: loudness === undefined ? 1 : loudness, velocity: velocity});
+}
+
+//the slot for a point of the grid at time, step seconds after the last one -> {index, late}, index of the slot and
+//the hits (as in quantizer.hits) of earlier slots taken in at this tick
+function tick(quantizer, time, step){
+    var index = quantizer.slots.length;
+    quantizer.slots.push({time: time, on: [], between: [], loudness: 0});
+    var late = [];
+    quantizer.pending = quantizer.pending.filter(function(hit){
+	var position = (hit.time - time) / step;
+	var nearest = Math.round(position);
+	var deviation = (position - nearest) * step;
+	var onGrid = Math.abs(deviation) <= quantizer.tolerance;
+	var slot = index + (onGrid ? nearest : Math.floor(position));
+	if(slot > index){
+	    return true;
+	}
+	slot = Math.max(0, slot);
+	var s = quantizer.slots[slot];
+	(onGrid ? s.on : s.between).push(hit.stroke);
+	s.loudness = Math.max(s.loudness, hit.loudness);
+	var placed = {stroke: hit.stroke, time: hit.time, loudness: hit.loudness, velocity: hit.velocity,
+		      slot: slot, deviation: deviation, onGrid: onGrid};
+	quantizer.hits.push(placed);
+	if(slot < index){
+	    late.push(placed);
+	}
+	return false;
+    });
+    return {index: index, late: late};
+}
+
+//a slot as a stroke of the lead -> ".", a stroke or a group of strokes
+function value(slot){
+    if(slot.between.length == 0){
+	return slot.on.length == 0 ? "." : (slot.on.length == 1 ? slot.on[0] : slot.on.slice());
+    }
+    return (slot.on.length == 0 ? ["."] : slot.on).concat(slot.between);
+}
+
+//the strokes on the grid so far, a slot each
+function sequence(quantizer){
+    return quantizer.slots.map(value);
+}
+
+exports.create = create;
+exports.add = add;
+exports.tick = tick;
+exports.value = value;
+exports.sequence = sequence;
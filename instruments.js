@@ -0,0 +1,194 @@
+/*
+
+Instrument registry -- describes each instrument, its strokes, the weight of each
+stroke used by the distance computation, the sample it is played with and the side
+it is panned to.
+
+Each instrument has:
+
+strokes  -> stroke -> {weight, sample, pan}, sample is the file in audio/ without .wav,
+            null when there is no recording of the stroke yet, pan is only given for
+            strokes panned to another side than their instrument
+aliases  -> stroke -> stroke actually played, eg: kanjira "tum" is played as "tumki"
+pan      -> "left" or "right", the left side is muted when the mridangam is silent
+
+Weights can be replaced with configure(), eg: in node or from a weights file written
+by trainWeights.js, without touching the registry below.
+
+Ghatam and morsing have no samples yet, their strokes can be written in patterns
+and weighed but not played.
+
+*/
+
+var registry = {
+    mridangam: {
+	pan: "left",
+	aliases: {},
+	strokes: {
+	    num: {weight: 0.7, sample: "num", pan: "right"},
+	    dhin: {weight: 0.3, sample: "dhin"},
+	    dheem: {weight: 0.4, sample: "dheem", pan: "right"},
+	    dham: {weight: 0.4, sample: "dham"},
+	    tha: {weight: 0.2, sample: "tha"},
+	    thi: {weight: 0.2, sample: "thi"},
+	    thom: {weight: 0.2, sample: "thom"},
+	    thum: {weight: 0.2, sample: "thum"},
+	    ri: {weight: 0.2, sample: "ri"},
+	    tham: {weight: 0.2, sample: "tham"},
+	    thiri: {weight: 0.4, sample: null},
+	    bheem: {weight: 0.4, sample: "bheem"}
+	}
+    },
+    kanjira: {
+	pan: "left",
+	aliases: {tum: "tumki"},
+	strokes: {
+	    ta: {weight: 1, sample: "ta"},
+	    te: {weight: 0.2, sample: "te"},
+	    tum: {weight: 0.2, sample: "tum"},
+	    tumki: {weight: 0.4, sample: "tumki"},
+	    tate: {weight: 0.4, sample: null}
+	}
+    },
+    ghatam: {
+	pan: "left",
+	aliases: {},
+	strokes: {
+	    ta: {weight: 0.6, sample: null},
+	    ki: {weight: 0.2, sample: null},
+	    thom: {weight: 0.5, sample: null},
+	    num: {weight: 0.7, sample: null},
+	    gumki: {weight: 0.4, sample: null}
+	}
+    },
+    morsing: {
+	pan: "left",
+	aliases: {},
+	strokes: {
+	    tha: {weight: 0.3, sample: null},
+	    thom: {weight: 0.5, sample: null},
+	    ki: {weight: 0.2, sample: null},
+	    dhin: {weight: 0.4, sample: null}
+	}
+    },
+    tala: {
+	pan: "right",
+	aliases: {},
+	strokes: {
+	    clap: {weight: 0.4, sample: "clap"},
+	    jambupathe: {weight: 0, sample: "jambupathe"}, //songs played along with the accompaniment, when audio/ has them
+	    sanjay: {weight: 0, sample: "sanjay", pan: "left"}
+	}
+    }
+};
+
+//order in which instruments are searched when a stroke is given without its instrument
+var order = ["mridangam", "kanjira", "tala", "ghatam", "morsing"];
+
+//weights of the strokes before and after a stroke when accents are contrasted in patternDistance.js
+var accentWeights = {back: 0.25, front: 0.75};
+
+//weight added to an accented slot in the distance computation (see weightArr in rhythmObject.js)
+var loudness = {boost: 2};
+
+function get(name){
+    if(!registry[name]){
+	throw new Error("unknown instrument '" + name + "'");
+    }
+    return registry[name];
+}
+
+function names(){
+    return order.slice();
+}
+
+//instrument a stroke belongs to, the given one if it has the stroke
+function instrumentOf(stroke, instrument){
+    if(registry[instrument] && (registry[instrument].strokes[stroke] || registry[instrument].aliases[stroke])){
+	return instrument;
+    }
+    return order.filter(function(name){
+	return registry[name].strokes[stroke] || registry[name].aliases[stroke];
+    })[0];
+}
+
+//stroke actually played for a stroke written in a pattern
+function alias(stroke, instrument){
+    var name = instrumentOf(stroke, instrument);
+    return (name && registry[name].aliases[stroke]) || stroke;
+}
+
+//weight of a stroke, 0 for strokes no instrument has
+function weight(stroke, instrument){
+    var name = instrumentOf(stroke, instrument);
+    var s = name && registry[name].strokes[alias(stroke, name)];
+    return s ? s.weight : 0;
+}
+
+//weights in use -> {weights: {instrument: {stroke: weight}}, accentWeights: {back, front}, loudnessBoost}
+function config(){
+    var weights = {};
+    order.forEach(function(name){
+	weights[name] = {};
+	Object.keys(registry[name].strokes).forEach(function(stroke){
+	    weights[name][stroke] = registry[name].strokes[stroke].weight;
+	});
+    });
+    return {weights: weights, accentWeights: {back: accentWeights.back, front: accentWeights.front}, loudnessBoost: loudness.boost};
+}
+
+//replaces weights with the ones given in a config of the same shape as config(), missing ones are kept
+function configure(c){
+    Object.keys(c.weights || {}).forEach(function(name){
+	var strokes = get(name).strokes;
+	Object.keys(c.weights[name]).forEach(function(stroke){
+	    if(!strokes[stroke]){
+		throw new Error("unknown stroke '" + stroke + "' of " + name);
+	    }
+	    strokes[stroke].weight = c.weights[name][stroke];
+	});
+    });
+    if(c.accentWeights){
+	accentWeights.back = c.accentWeights.back === undefined ? accentWeights.back : c.accentWeights.back;
+	accentWeights.front = c.accentWeights.front === undefined ? accentWeights.front : c.accentWeights.front;
+    }
+    if(c.loudnessBoost !== undefined){
+	loudness.boost = c.loudnessBoost;
+    }
+}
+
+//strokes that can be played -> [{stroke, sample, pan}], a stroke shared by
+//instruments is played with the sample of the first one that has it
+function samples(){
+    var list = [], seen = {};
+    order.forEach(function(name){
+	var strokes = registry[name].strokes;
+	Object.keys(strokes).forEach(function(stroke){
+	    if(strokes[stroke].sample && !seen[stroke]){
+		seen[stroke] = true;
+		list.push({stroke: stroke, sample: strokes[stroke].sample, pan: strokes[stroke].pan || registry[name].pan});
+	    }
+	});
+    });
+    return list;
+}
+
+//names of the strokes that can be played
+function playable(){
+    return samples().map(function(s){
+	return s.stroke;
+    });
+}
+
+exports.registry = registry;
+exports.accentWeights = accentWeights;
+exports.loudness = loudness;
+exports.get = get;
+exports.names = names;
+exports.instrumentOf = instrumentOf;
+exports.alias = alias;
+exports.weight = weight;
+exports.samples = samples;
+exports.playable = playable;
+exports.config = config;
+exports.configure = configure;
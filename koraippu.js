@@ -0,0 +1,158 @@
+/*
+
+Koraippu -- call and response for the tani avartanam. The lead plays a phrase, the
+accompaniment waits for it to end and answers with a phrase of the same length, and
+the phrases get shorter as the lead shortens them: 2 cycles, 1 cycle, half a cycle and
+a quarter of a cycle.
+
+The lead is heard as in play.js, strokes at speed 8 (a stroke every half unit) counted
+from samam. A phrase starts on the quarter cycle before its first stroke and ends when
+it has gone on for as long as the last phrase, or for the next shorter length, with the
+lead resting for the last options.rest of it (an eighth of the phrase, at least a unit,
+by default). The answer starts straight away, so that the lead and the accompaniment
+stay aligned to the tala cycle. A phrase that goes on for longer than those lengths
+is not answered, the lead is heard again from the phrase it plays after a rest.
+
+Answers are library patterns or variants of them (see patternGenerator.js) cut or
+repeated to the length of the phrase, and the one with the character closest to the
+phrase (see patternSelection.js) is played.
+
+*/
+
+var rhythm = require("./rhythmObject");
+var generator = require("./patternGenerator");
+var selection = require("./patternSelection");
+var utils = require("./utilities");
+
+//lengths of the phrases traded in a tala, longest first, in units
+function lengths(tala){
+    return [2 * tala.units, tala.units, tala.units / 2, tala.units / 4];
+}
+
+//lengths a phrase can have after one of length units, the same length or the next shorter one
+function next(tala, units){
+    var all = lengths(tala);
+    var index = all.indexOf(units);
+    if(index == -1){
+	return all.slice(0, 2);
+    }
+    return all.slice(index, index + 2);
+}
+
+//the phrase of the lead when it ends at now -> {start, length} in units from samam, null while the lead is
+//playing, has not started or now is not the end of a phrase of the lengths that can follow the last one, a phrase
+//that goes on for longer than those is let go and the lead is heard again after it rests
+//strokes -> strokes of the lead at speed 8 from samam, now -> units from samam
+//options.from -> units before which strokes are not heard (eg: the last answer), options.length -> length of the
+//last phrase (the longest koraippu length by default), options.rest -> share of the phrase the lead rests for at its end
+function listen(strokes, tala, now, options){
+    options = options || {};
+    var from = Math.ceil(2 * (options.from || 0)), share = options.rest === undefined ? 1 / 8 : options.rest;
+    var first = -1, last = -1;
+    for(var i=from; i<Math.min(strokes.length, 2 * now); i++){
+	if(strokes[i] != "."){
+	    first = first == -1 ? i : first;
+	    last = i;
+	}
+    }
+    if(first == -1){
+	return null;
+    }
+    var allowed = next(tala, options.length || lengths(tala)[0]);
+    var quarter = tala.units / 4;
+    var start = Math.floor(first / 2 / quarter) * quarter;
+    if(now - start > allowed[0]){
+	//the lead went on past the longest phrase that can follow, it is heard again from the first stroke after
+	//its last rest of a unit or more
+	var rest = 0, after = -1;
+	for(var j=first + 1; j<Math.min(strokes.length, 2 * now); j++){
+	    if(strokes[j] == "."){
+		rest++;
+		continue;
+	    }
+	    after = rest >= 2 ? j : after;
+	    rest = 0;
+	}
+	if(after == -1){
+	    return null;
+	}
+	start = Math.floor(after / 2 / quarter) * quarter;
+    }
+    var ends = allowed.some(function(l){
+	return Math.abs(now - start - l) < 1e-9 && 2 * now - 1 - last >= 2 * Math.max(1, share * l);
+    });
+    return ends ? {start: start, length: now - start} : null;
+}
+
+//the phrase of the lead as a [diction, ts, loudness, eduppu] entry, padded with rests up to its length
+function phraseEntry(strokes, phrase){
+    var slots = strokes.slice(2 * phrase.start, 2 * (phrase.start + phrase.length));
+    while(slots.length < 2 * phrase.length){
+	slots.push(".");
+    }
+    return [slots, [[slots.length, 8]], [], 0];
+}
+
+//an entry cut or repeated to exactly units long, null when it cannot be done on a slot boundary
+function fit(entry, units){
+    var segments = rhythm.gatiSegments(entry[1], entry[0].length);
+    var total = segments.map(function(seg){ return seg.units; }).reduce(utils.sum, 0);
+    if(total <= 0){
+	return null;
+    }
+    var times = Math.max(1, Math.ceil(units / total));
+    var slots = [], pairs = [], loud = [], length = 0;
+    for(var t=0; t<times; t++){
+	segments.forEach(function(seg){
+	    for(var i=0; i<seg.length && length < units - 1e-9; i++){
+		var slot = seg.start + i;
+		if((entry[2] || []).indexOf(slot + 1) != -1){
+		    loud.push(slots.length + 1);
+		}
+		slots.push(entry[0][slot]);
+		if(pairs.length > 0 && pairs[pairs.length - 1][1] == seg.timeSign){
+		    pairs[pairs.length - 1][0]++;
+		}
+		else{
+		    pairs.push([1, seg.timeSign]);
+		}
+		length += 4 / seg.timeSign;
+	    }
+	});
+    }
+    if(Math.abs(length - units) > 1e-9){
+	return null;
+    }
+    return [slots, pairs, loud, entry[3]];
+}
+
+//the phrase that answers the lead -> [diction, ts, loudness, eduppu], null when no pattern fits the length
+//candidates -> library entries, options.variants -> variants of random candidates added to them (4 by default)
+//options.policy and options.metric -> how the answer is chosen, see patternSelection.js
+function answer(strokes, phrase, candidates, options){
+    options = options || {};
+    var pool = candidates.slice();
+    for(var v=0; v<(options.variants === undefined ? 4 : options.variants) && candidates.length > 0; v++){
+	pool.push(generator.variant(candidates[Math.floor(Math.random() * candidates.length)], {genericity: 2, numRests: 2, numSpeed: 1}));
+    }
+    var fitted = pool.map(function(entry){
+	return fit(entry, phrase.length);
+    }).filter(function(entry){
+	return entry !== null;
+    }).map(function(entry){
+	return [entry[0], entry[1], entry[2], 0];
+    });
+    if(fitted.length == 0){
+	return null;
+    }
+    var ranked = selection.rank(phraseEntry(strokes, phrase), fitted, {metric: options.metric});
+    var index = selection.choose(ranked, options.policy || "best");
+    return index == -1 ? null : fitted[index];
+}
+
+exports.lengths = lengths;
+exports.next = next;
+exports.listen = listen;
+exports.phraseEntry = phraseEntry;
+exports.fit = fit;
+exports.answer = answer;
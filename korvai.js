@@ -0,0 +1,173 @@
+/*
+
+Korvai module -- builds moras and korvais out of phrase building blocks so that
+they resolve exactly on samam, or on any other landing point in the tala.
+
+mora   -> phrase gap phrase gap phrase, eg: [ta te tum] . [ta te tum] . [ta te tum]
+korvai -> the mora, preceded by a purvangam, stated three times with gaps between
+          the statements
+
+A composition starts at its eduppu and fills the time up to the landing point, its
+last stroke is played on the landing point (arudi) unless options.arudi is false.
+Gaps are at least options.minGap strokes (1 by default) so that the repetitions are
+heard apart. Compositions may run over several cycles (options.maxCycles).
+
+Results are [diction, ts, loudness, eduppu] entries, the same as the ones in
+patternsList.js, so they can be played through playAcc in play.js.
+
+*/
+
+var talas = require("./tala");
+
+//phrases used when none are given
+var defaultBlocks = [
+    ["ta", "te", "ta", "tum"],
+    ["tum", ".", "ta"],
+    ["ta", "te", "tum"],
+    ["ta", "tum"],
+    ["tum", ".", "ta", "te", "ta"],
+    ["ta", "ta", "tum", "tum", "ta"]
+];
+
+//phrases that can be made from the blocks, each block alone and every pair of blocks
+function phrases(blocks){
+    var list = blocks.slice();
+    blocks.forEach(function(a){
+	blocks.forEach(function(b){
+	    list.push(a.concat(b));
+	});
+    });
+    return list;
+}
+
+function rests(n, stroke){
+    var arr = [];
+    for(var i=0; i<n; i++){
+	arr.push(stroke);
+    }
+    return arr;
+}
+
+//number of strokes that can fill the time from eduppu to landing, in each number of cycles
+function spans(tala, nadai, eduppu, landing, options){
+    var distance = (((landing - eduppu) % tala.aksharas) + tala.aksharas) % tala.aksharas;
+    var strokes = distance * nadai;
+    if(Math.abs(strokes - Math.round(strokes)) > 1e-9){
+	throw new Error("eduppu " + eduppu + " cannot land on " + landing + " in nadai " + nadai);
+    }
+    var list = [];
+    for(var k=0; k<=options.maxCycles; k++){
+	var n = Math.round(strokes) + k * tala.aksharas * nadai + (options.arudi ? 1 : 0);
+	if(n > 0){
+	    list.push(n);
+	}
+    }
+    return list;
+}
+
+function settings(tala, nadai, eduppu, options){
+    options = options || {};
+    return {
+	tala: typeof tala == "string" ? talas.lookup(tala) : tala,
+	nadai: nadai || 4,
+	eduppu: eduppu || 0,
+	landing: options.landing || 0,
+	blocks: options.blocks || defaultBlocks,
+	gapStroke: options.gapStroke || ".",
+	minGap: options.minGap === undefined ? 1 : options.minGap,
+	maxGap: options.maxGap === undefined ? 4 : options.maxGap,
+	maxCycles: options.maxCycles === undefined ? 1 : options.maxCycles,
+	arudi: options.arudi === undefined ? true : !!options.arudi
+    };
+}
+
+//rhythm entry for a composition made of a list of parts, the first stroke of every part marked in accents
+function toEntry(parts, accents, s){
+    var diction = [], loudness = [];
+    parts.forEach(function(part, index){
+	if(accents[index] && part.length > 0){
+	    loudness.push(diction.length + 1);
+	}
+	diction = diction.concat(part);
+    });
+    return [diction, [[diction.length, s.nadai]], loudness, s.eduppu];
+}
+
+//mora that fills the time from eduppu to the landing point
+//options -> landing (akshara, 0 is samam), blocks, gapStroke, minGap, maxGap, maxCycles, arudi
+//returns {entry, phrase, purvangam, gap, strokes}
+function mora(tala, nadai, eduppu, options){
+    var s = settings(tala, nadai, eduppu, options);
+    var list = phrases(s.blocks);
+    var starts = [[]].concat(list);
+
+    var targets = spans(s.tala, s.nadai, s.eduppu, s.landing, s);
+    for(var t=0; t<targets.length; t++){
+	var best = null;
+	starts.forEach(function(a){
+	    list.forEach(function(p){
+		var rest = targets[t] - a.length - 3 * p.length;
+		if(rest < 0 || rest % 2 != 0 || rest / 2 < s.minGap || rest / 2 > s.maxGap){
+		    return;
+		}
+		//smallest gap and then the shortest purvangam
+		if(!best || rest / 2 < best.gap || (rest / 2 == best.gap && a.length < best.purvangam.length)){
+		    best = {phrase: p, purvangam: a, gap: rest / 2};
+		}
+	    });
+	});
+	if(best){
+	    var g = rests(best.gap, s.gapStroke);
+	    best.entry = toEntry([best.purvangam, best.phrase, g, best.phrase, g, best.phrase], [true, true, false, true, false, true], s);
+	    best.strokes = targets[t];
+	    return best;
+	}
+    }
+    throw new Error("no mora of the given blocks lands on akshara " + s.landing + " of " + s.tala.name + " from eduppu " + s.eduppu);
+}
+
+//korvai that fills the time from eduppu to the landing point
+//each of the three statements is purvangam + mora, statements are separated by a gap of outerGap
+//options -> same as for mora
+//returns {entry, phrase, purvangam, gap, outerGap, strokes}
+function korvai(tala, nadai, eduppu, options){
+    var s = settings(tala, nadai, eduppu, options);
+    var list = phrases(s.blocks);
+    var starts = [[]].concat(list);
+
+    var targets = spans(s.tala, s.nadai, s.eduppu, s.landing, s);
+    for(var t=0; t<targets.length; t++){
+	var best = null;
+	starts.forEach(function(a){
+	    list.forEach(function(p){
+		for(var g=s.minGap; g<=s.maxGap; g++){
+		    var rest = targets[t] - 3 * (a.length + 3 * p.length + 2 * g);
+		    if(rest < 0 || rest % 2 != 0 || rest / 2 < s.minGap || rest / 2 > s.maxGap){
+			continue;
+		    }
+		    //prefer a purvangam, then the smallest gaps
+		    var score = (a.length > 0 ? 0 : 100) + g + rest / 2;
+		    if(!best || score < best.score){
+			best = {phrase: p, purvangam: a, gap: g, outerGap: rest / 2, score: score};
+		    }
+		}
+	    });
+	});
+	if(best){
+	    var g = rests(best.gap, s.gapStroke), outer = rests(best.outerGap, s.gapStroke);
+	    var statement = [best.purvangam, best.phrase, g, best.phrase, g, best.phrase];
+	    var accents = [true, true, false, true, false, true];
+	    var parts = statement.concat([outer], statement, [outer], statement);
+	    var marks = accents.concat([false], accents, [false], accents);
+	    best.entry = toEntry(parts, marks, s);
+	    best.strokes = targets[t];
+	    delete best.score;
+	    return best;
+	}
+    }
+    throw new Error("no korvai of the given blocks lands on akshara " + s.landing + " of " + s.tala.name + " from eduppu " + s.eduppu);
+}
+
+exports.defaultBlocks = defaultBlocks;
+exports.mora = mora;
+exports.korvai = korvai;
@@ -6,6 +6,9 @@ var require = (function () {
     var cache = {};
 
     return function (moduleName) {
+        // Modules are required as "./name" so that they also load under node.
+        moduleName = moduleName.replace(/^\.\//, '');
+
         // Check the cache.
         if (moduleName in cache) {
             return cache[moduleName];
@@ -32,4 +35,4 @@ var require = (function () {
 })();
 
 // Just load the other modules.
-var accmp = require('accompaniment');
+var accmp = require('./accompaniment');
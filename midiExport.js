@@ -0,0 +1,156 @@
+/*
+
+MIDI export module -- writes the strokes played in a session (see play.js) as a
+Standard MIDI File (format 1) that can be opened in a DAW.
+
+Events are {instrument, stroke, time, loudness, velocity}, time in seconds from the
+start of the session. velocity (1-127) is used when given (eg: lead hits from a MIDI
+pad), otherwise it comes from the loudness the stroke was played with.
+
+The file has a conductor track (tempo and tala), one track per instrument and a tala
+track. A quarter note is one akshara, so a bar of the DAW is a cycle of the tala.
+
+Options:
+
+tempo      -> tempo of the session in units (strokes at speed 4) per minute
+tala       -> tala object from tala.js, sets the time signature
+notes      -> {instrument: {stroke: note}}, replaces the General MIDI notes below
+channels   -> {instrument: channel}, 0-15, all instruments use the GM drum channel (9) by default
+ppq        -> ticks per quarter note, 480 by default
+noteLength -> length of each note in ticks, a sixteenth by default
+
+*/
+
+//General MIDI percussion notes for each stroke, no two strokes share a note (the instruments share the drum
+//channel), so that a file is read back with the strokes it was written with (see midiImport.js)
+var defaultNotes = {
+    mridangam: {num: 63, dhin: 62, dheem: 64, dham: 71, tha: 60, thi: 61, thom: 65, thum: 66, ri: 72, tham: 75, thiri: 80, bheem: 81},
+    kanjira: {ta: 54, te: 70, tum: 58, tumki: 59, tate: 69},
+    ghatam: {ta: 76, ki: 77, thom: 68, num: 67, gumki: 57},
+    morsing: {tha: 78, thom: 79, ki: 73, dhin: 74},
+    tala: {clap: 39}
+};
+
+var drumChannel = 9;
+var maxLoudness = 2.5; //loudness of an accented stroke in rhythmObject.js
+
+//velocity of an event
+function velocity(e){
+    var v = e.velocity !== undefined ? e.velocity : 127 * e.loudness / maxLoudness;
+    return Math.max(1, Math.min(127, Math.round(v)));
+}
+
+//variable length quantity used for delta times
+function vlq(n){
+    var bytes = [n & 0x7f];
+    n = n >> 7;
+    while(n > 0){
+	bytes.unshift((n & 0x7f) | 0x80);
+	n = n >> 7;
+    }
+    return bytes;
+}
+
+function uint(n, size){
+    var bytes = [];
+    for(var i=size-1; i>=0; i--){
+	bytes.push((n >> (8*i)) & 0xff);
+    }
+    return bytes;
+}
+
+function text(str){
+    return str.split("").map(function(c){
+	return c.charCodeAt(0) & 0x7f;
+    });
+}
+
+function chunk(type, data){
+    return text(type).concat(uint(data.length, 4), data);
+}
+
+//turns a list of {tick, data} messages into a track chunk
+function track(messages){
+    var data = [], last = 0;
+    messages.sort(function(a, b){
+	return a.tick - b.tick || a.order - b.order;
+    }).forEach(function(m){
+	data = data.concat(vlq(m.tick - last), m.data);
+	last = m.tick;
+    });
+    data = data.concat(vlq(0), [0xff, 0x2f, 0x00]); //end of track
+    return chunk("MTrk", data);
+}
+
+function trackName(name){
+    var bytes = text(name);
+    return {tick: 0, order: 0, data: [0xff, 0x03].concat(vlq(bytes.length), bytes)};
+}
+
+//conductor track with the tempo and the tala as time signature
+function conductor(options){
+    var usPerQuarter = Math.round(60e6 * 4 / options.tempo); //a quarter note is an akshara of 4 units
+    var messages = [trackName(options.tala ? options.tala.name : "session")];
+    messages.push({tick: 0, order: 1, data: [0xff, 0x51, 0x03].concat(uint(usPerQuarter, 3))});
+    if(options.tala){
+	messages.push({tick: 0, order: 2, data: [0xff, 0x58, 0x04, Math.min(255, options.tala.aksharas), 2, 24, 8]});
+    }
+    return track(messages);
+}
+
+//builds the track of an instrument out of its events
+function instrumentTrack(name, events, options){
+    var notes = (options.notes && options.notes[name]) || defaultNotes[name] || {};
+    var channel = options.channels && options.channels[name] !== undefined ? options.channels[name] : drumChannel;
+    var ticksPerSecond = options.ppq * options.tempo / (60 * 4);
+    var messages = [trackName(name)];
+
+    events.forEach(function(e){
+	var note = notes[e.stroke];
+	if(note === undefined){
+	    return;
+	}
+	var tick = Math.max(0, Math.round(e.time * ticksPerSecond));
+	messages.push({tick: tick, order: 2, data: [0x90 | channel, note, velocity(e)]});
+	messages.push({tick: tick + options.noteLength, order: 1, data: [0x80 | channel, note, 0]});
+    });
+    return track(messages);
+}
+
+//writes the events of a session as a Standard MIDI File, returns its bytes
+function toSMF(events, options){
+    options = options || {};
+    var o = {
+	tempo: options.tempo || 120,
+	tala: options.tala,
+	notes: options.notes,
+	channels: options.channels,
+	ppq: options.ppq || 480
+    };
+    o.noteLength = options.noteLength || o.ppq / 4;
+
+    var names = [];
+    events.forEach(function(e){
+	if(names.indexOf(e.instrument) == -1 && e.instrument != "tala"){
+	    names.push(e.instrument);
+	}
+    });
+    names.push("tala");
+
+    var chunks = [conductor(o)].concat(names.map(function(name){
+	return instrumentTrack(name, events.filter(function(e){
+	    return e.instrument == name;
+	}), o);
+    }));
+    var header = chunk("MThd", uint(1, 2).concat(uint(chunks.length, 2), uint(o.ppq, 2)));
+
+    var bytes = header;
+    chunks.forEach(function(c){
+	bytes = bytes.concat(c);
+    });
+    return new Uint8Array(bytes);
+}
+
+exports.defaultNotes = defaultNotes;
+exports.velocity = velocity;
+exports.toSMF = toSMF;
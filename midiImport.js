@@ -0,0 +1,204 @@
+/*
+
+MIDI import module -- reads a Standard MIDI File (format 0 or 1) of a lead
+performance and turns its notes into strokes, so that a recorded mridangam can
+drive the accompaniment in place of the keyboard or a MIDI pad (see playLead in
+play.js).
+
+Hits are {time, stroke, velocity}, time in seconds from the start of the file
+following the tempo changes of the file.
+
+Options:
+
+instrument -> instrument whose notes in midiExport.js are used to find strokes, mridangam by default
+map        -> {note: stroke}, replaces the notes of the instrument
+channel    -> only read notes of this channel (0-15), all channels by default
+
+A file written by midiExport.js can be read back with the same instrument.
+
+*/
+
+var midiExport = require("./midiExport");
+
+//error thrown for a file that is not a Standard MIDI File this module can read
+function MidiError(message){
+    this.name = "MidiError";
+    this.message = message;
+}
+MidiError.prototype = Object.create(Error.prototype);
+MidiError.prototype.constructor = MidiError;
+
+//reads numbers and strings out of the bytes of a file
+function reader(bytes){
+    var pos = 0;
+    var r = {
+	eof: function(){ return pos >= bytes.length; },
+	pos: function(){ return pos; },
+	skip: function(n){ pos += n; },
+	byte: function(){
+	    if(pos >= bytes.length){
+		throw new MidiError("unexpected end of file");
+	    }
+	    return bytes[pos++];
+	},
+	peek: function(){ return bytes[pos]; },
+	uint: function(size){
+	    var n = 0;
+	    for(var i=0; i<size; i++){
+		n = n * 256 + r.byte();
+	    }
+	    return n;
+	},
+	vlq: function(){
+	    var n = 0, b;
+	    do{
+		b = r.byte();
+		n = n * 128 + (b & 0x7f);
+	    }while(b & 0x80);
+	    return n;
+	},
+	text: function(n){
+	    var s = "";
+	    for(var i=0; i<n; i++){
+		s += String.fromCharCode(r.byte());
+	    }
+	    return s;
+	}
+    };
+    return r;
+}
+
+//reads the events of one track chunk -> [{tick, type, ...}]
+function readTrack(r, end){
+    var events = [], tick = 0, status = 0;
+    while(r.pos() < end){
+	tick += r.vlq();
+	var b = r.peek();
+	if(b & 0x80){
+	    status = r.byte();
+	}
+	else if(!status){
+	    throw new MidiError("data byte without a status at byte " + r.pos());
+	}
+
+	if(status == 0xff){
+	    var type = r.byte(), len = r.vlq();
+	    if(type == 0x51 && len == 3){
+		events.push({tick: tick, type: "tempo", usPerQuarter: r.uint(3)});
+	    }
+	    else{
+		r.skip(len);
+	    }
+	    status = 0; //meta and sysex events cancel running status
+	}
+	else if(status == 0xf0 || status == 0xf7){
+	    r.skip(r.vlq());
+	    status = 0;
+	}
+	else{
+	    var kind = status & 0xf0, channel = status & 0x0f;
+	    var data1 = r.byte();
+	    var data2 = (kind == 0xc0 || kind == 0xd0) ? 0 : r.byte();
+	    if(kind == 0x90 && data2 > 0){
+		events.push({tick: tick, type: "noteOn", channel: channel, note: data1, velocity: data2});
+	    }
+	}
+    }
+    return events;
+}
+
+//parses the bytes of a file -> {format, ppq, tracks}
+function parse(bytes){
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    var r = reader(bytes);
+    if(r.text(4) != "MThd"){
+	throw new MidiError("not a Standard MIDI File");
+    }
+    var headerLength = r.uint(4);
+    var format = r.uint(2), count = r.uint(2), division = r.uint(2);
+    r.skip(headerLength - 6);
+    if(format > 1){
+	throw new MidiError("format " + format + " files are not supported");
+    }
+    if(division & 0x8000){
+	throw new MidiError("SMPTE time division is not supported");
+    }
+
+    var tracks = [];
+    while(tracks.length < count && !r.eof()){
+	var type = r.text(4), length = r.uint(4);
+	var end = r.pos() + length;
+	if(type == "MTrk"){
+	    tracks.push(readTrack(r, end));
+	}
+	r.skip(end - r.pos());
+    }
+    return {format: format, ppq: division, tracks: tracks};
+}
+
+//notes of a parsed file with their time in seconds -> [{time, note, velocity, channel, track}]
+function notes(smf){
+    var tempos = [], list = [];
+    smf.tracks.forEach(function(events, index){
+	events.forEach(function(e){
+	    if(e.type == "tempo"){
+		tempos.push(e);
+	    }
+	    else{
+		list.push({tick: e.tick, note: e.note, velocity: e.velocity, channel: e.channel, track: index});
+	    }
+	});
+    });
+    tempos.sort(function(a, b){ return a.tick - b.tick; });
+
+    //seconds at a tick, 120 bpm until the first tempo change
+    function seconds(tick){
+	var time = 0, last = 0, us = 500000;
+	for(var i=0; i<tempos.length && tempos[i].tick < tick; i++){
+	    time += (tempos[i].tick - last) * us / (smf.ppq * 1e6);
+	    last = tempos[i].tick;
+	    us = tempos[i].usPerQuarter;
+	}
+	return time + (tick - last) * us / (smf.ppq * 1e6);
+    }
+
+    return list.map(function(n){
+	n.time = seconds(n.tick);
+	delete n.tick;
+	return n;
+    }).sort(function(a, b){
+	return a.time - b.time;
+    });
+}
+
+//note -> stroke map of an instrument, notes -> {stroke: note}, its notes in midiExport.js by default
+//throws when two strokes have the same note, as a file could not tell them apart
+function strokeMap(instrument, notes){
+    var map = {}, strokes = notes || midiExport.defaultNotes[instrument] || {};
+    Object.keys(strokes).forEach(function(stroke){
+	var note = strokes[stroke];
+	if(map[note] !== undefined){
+	    throw new Error("strokes '" + map[note] + "' and '" + stroke + "' of " + instrument + " have the same note " + note);
+	}
+	map[note] = stroke;
+    });
+    return map;
+}
+
+//reads the hits of a lead performance out of the bytes of a file -> [{time, stroke, velocity}]
+//notes that are not in the map are left out
+function toHits(bytes, options){
+    options = options || {};
+    var map = options.map || strokeMap(options.instrument || "mridangam");
+    return notes(parse(bytes)).filter(function(n){
+	return map[n.note] !== undefined && (options.channel === undefined || n.channel == options.channel);
+    }).map(function(n){
+	return {time: n.time, stroke: map[n.note], velocity: n.velocity};
+    });
+}
+
+exports.MidiError = MidiError;
+exports.parse = parse;
+exports.notes = notes;
+exports.strokeMap = strokeMap;
+exports.toHits = toHits;
@@ -0,0 +1,221 @@
+/*
+
+Offline render module -- renders a performance to audio without the audio context,
+as fast as it can be computed, so that practice tracks and golden files for
+regression tests come out the same on every run. The performance is played through
+the tracks play.js plays (see tracks.js) on a stand-in for the Steller scheduler (see
+offlineScheduler.js).
+
+A performance is:
+
+{
+    "tempo": 240,                                 -> units (strokes at speed 4) per minute, as the tempo input
+    "tala": "adi",                                -> tala the accompaniment follows, chatusra eka by default
+    "eduppu": 0,                                  -> eduppu of the tala in aksharas
+    "samam": 0,                                   -> units the samam of the lead is after the start (see samamDetector.js)
+    "lead": {
+        "instrument": "mridangam",
+        "phrases": [[diction, ts, loudness], ...] -> played one after the other from the start
+        or "hits": [{time, stroke, velocity}]     -> eg: read from a MIDI file with midiImport.js
+    },
+    "accompaniment": {
+        "instrument": "kanjira",
+        "patterns": [[diction, ts, loudness, eduppu], ...] -> in the order playAcc chose them
+        "ids": [id, ...]                          -> library ids of the patterns, null when they have none
+    },
+    "click": true                                 -> plays the click track of the tala
+}
+
+Strokes are timed the way play.js schedules them: the accompaniment joins after
+the first cycle of the lead and waits for the eduppu of each pattern to come
+around in the cycle, with the tala and the patterns moved to the samam of the lead.
+The clock of the tala keeps to the tempo of the performance.
+
+Rendered audio is stereo, each stroke is panned to the side of its instrument in
+instruments.js with the other side at half level, and is scaled down to a peak of 1
+when the mix would clip.
+
+*/
+
+var rhythm = require("./rhythmObject");
+var talas = require("./tala");
+var utils = require("./utilities");
+var instruments = require("./instruments");
+var wav = require("./wav");
+var tracks = require("./tracks");
+var scheduler = require("./offlineScheduler");
+
+var rhythmPattern = rhythm.rhythmPattern;
+
+//sounds for the tracks that only mark where the strokes are, the strokes are taken by onStroke
+function silentSounds(sh){
+    var sounds = {};
+    instruments.samples().forEach(function(s){
+	sounds[s.stroke] = {trigger: function(){ return sh.fire(function(){}); }};
+    });
+    return sounds;
+}
+
+//events of a performance -> [{instrument, stroke, time, loudness, velocity}], time in seconds
+function timeline(performance){
+    var tala = talas.lookup(performance.tala);
+    var eduppu = performance.eduppu || 0;
+    var rate = (performance.tempo || 120) / 60; //units per second
+    var options = {
+	tala: function(){ return tala; },
+	shift: function(){ return performance.samam || 0; }
+    };
+    var events = [];
+    function add(instrument){
+	return function(stroke, clock, loudness){
+	    events.push({instrument: instrument, stroke: stroke, time: clock.t1, loudness: loudness});
+	};
+    }
+
+    var sh = scheduler.create(), sounds = silentSounds(sh);
+    var lead = performance.lead || {};
+    var leadInstrument = lead.instrument || "mridangam";
+    if(lead.hits){
+	//as playLead in play.js, at the times they have
+	var last = 0;
+	sh.play(sh.track(lead.hits.filter(function(h){
+	    return h.stroke != ".";
+	}).map(function(h){
+	    var wait = h.time - last;
+	    last = h.time;
+	    return sh.track(sh.delay(wait), sh.fire(function(clock){
+		events.push({instrument: leadInstrument, stroke: h.stroke, time: clock.t1, loudness: utils.velocityLoudness(h.velocity), velocity: h.velocity});
+	    }));
+	})));
+    }
+    else{
+	sh.play(sh.track(sh.rate(rate), sh.track((lead.phrases || []).map(function(entry){
+	    var play = rhythmPattern(entry[0], entry[2] || [], entry[1], entry[3], leadInstrument);
+	    return tracks.strokeTrack(sh, sounds, play[0], add(leadInstrument));
+	}))));
+    }
+
+    //as in playAcc, the accompaniment joins on samam after the first cycle
+    var acc = performance.accompaniment || {};
+    var patterns = (acc.patterns || []).slice();
+    sh.play(sh.track(sh.rate(rate), tracks.accompaniment(sh, sounds, {
+	instrument: acc.instrument || "kanjira",
+	tala: options.tala,
+	shift: options.shift,
+	join: tala.units,
+	onStroke: add(acc.instrument || "kanjira"),
+	next: function(){
+	    var entry = patterns.shift();
+	    return entry && [entry[0], entry[1], entry[2], entry[3] === undefined ? eduppu : entry[3]];
+	}
+    })));
+    var end = sh.run();
+
+    //as in playTala, the click track goes on for the cycles started before the end of the performance
+    if(performance.click){
+	var clicks = scheduler.create();
+	clicks.play(clicks.track(clicks.rate(rate), tracks.talaTrack(clicks, silentSounds(clicks), {
+	    tala: function(){ return clicks.time() < end ? tala : null; },
+	    shift: options.shift,
+	    onStroke: add("tala")
+	})));
+	clicks.run();
+    }
+
+    return events.sort(function(a, b){
+	return a.time - b.time;
+    });
+}
+
+//loads the samples of instruments.js, read(file, callback(err, bytes)) reads a file of audio/
+//calls callback(err, kit), kit -> stroke -> {audio, pan}, strokes -> only the samples of these strokes, all by default
+function loadKit(read, callback, strokes){
+    var list = instruments.samples().filter(function(s){
+	return !strokes || strokes.indexOf(s.stroke) != -1;
+    }), kit = {}, left = list.length, failed = null;
+    if(left == 0){
+	callback(null, kit);
+	return;
+    }
+    list.forEach(function(s){
+	read("audio/" + s.sample + ".wav", function(err, bytes){
+	    if(!err){
+		try{
+		    kit[s.stroke] = {audio: wav.decode(bytes), pan: s.pan};
+		}
+		catch(e){
+		    err = new Error("audio/" + s.sample + ".wav: " + e.message);
+		}
+	    }
+	    failed = failed || err;
+	    if(--left == 0){
+		callback(failed, failed ? null : kit);
+	    }
+	});
+    });
+}
+
+//gain of each output channel for a pan side
+function panGains(pan){
+    if(pan == "left"){
+	return [1, 0.5];
+    }
+    return pan == "right" ? [0.5, 1] : [1, 1];
+}
+
+//mixes events into stereo audio using the samples of kit
+//options.sampleRate -> 44100 by default, options.tail -> seconds left after the last stroke, 1 by default
+function render(events, kit, options){
+    options = options || {};
+    var rate = options.sampleRate || 44100;
+    var tail = options.tail === undefined ? 1 : options.tail;
+    var last = events.reduce(function(t, e){ return Math.max(t, e.time); }, 0);
+    var frames = Math.ceil((last + tail) * rate);
+    var out = [new Float32Array(frames), new Float32Array(frames)];
+
+    events.forEach(function(e){
+	var k = kit[e.stroke];
+	if(!k || !(e.loudness > 0)){
+	    return;
+	}
+	var src = k.audio, step = src.sampleRate / rate;
+	var gains = panGains(k.pan);
+	var start = Math.round(e.time * rate);
+	var length = Math.floor(src.channels[0].length / step);
+	for(var c=0; c<2; c++){
+	    var data = src.channels[Math.min(c, src.channels.length - 1)];
+	    var gain = e.loudness * gains[c];
+	    for(var i=0; i<length && start + i < frames; i++){
+		//linear interpolation when the sample rate of the sample differs
+		var pos = i * step, j = Math.floor(pos), frac = pos - j;
+		var v = frac > 0 && j + 1 < data.length ? data[j] + (data[j + 1] - data[j]) * frac : data[j];
+		out[c][start + i] += gain * v;
+	    }
+	}
+    });
+
+    var peak = 0;
+    out.forEach(function(ch){
+	for(var i=0; i<ch.length; i++){
+	    peak = Math.max(peak, Math.abs(ch[i]));
+	}
+    });
+    if(peak > 1){
+	out.forEach(function(ch){
+	    for(var i=0; i<ch.length; i++){
+		ch[i] /= peak;
+	    }
+	});
+    }
+    return {sampleRate: rate, channels: out};
+}
+
+//renders events and writes them as a WAV file, options.bits -> 16 (default) or 24
+function toWav(events, kit, options){
+    return wav.encode(render(events, kit, options), (options && options.bits) || 16);
+}
+
+exports.timeline = timeline;
+exports.loadKit = loadKit;
+exports.render = render;
+exports.toWav = toWav;
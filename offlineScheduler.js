@@ -0,0 +1,117 @@
+/*
+
+Offline scheduler -- a stand-in for the Steller scheduler (see steller.js) that runs in
+node, so that performances are rendered (see offlineRender.js) through the same tracks
+that play.js plays live (see tracks.js).
+
+It has the actions of Steller that the tracks use, with the same meaning: track, delay,
+rate, fire, dynamic, loop and stop. Time does not run by itself, run() plays what was
+scheduled as fast as it can in the order of the times the actions fall on, and time()
+is the time it has reached.
+
+A clock is {t1, t1r, rate}, t1 is the time in seconds and t1r the time in units of the
+track, played at rate units per second (a number or a Param).
+
+*/
+
+function create(){
+    var self = {};
+    var queue = [], count = 0, now = 0;
+
+    //calls fn when the scheduler reaches time, in the order they were added for the same time
+    function at(time, fn){
+	var item = {time: time, order: count++, fn: fn};
+	var i = queue.length;
+	while(i > 0 && queue[i - 1].time > time){
+	    i--;
+	}
+	queue.splice(i, 0, item);
+    }
+
+    function stop(sched, clock, next){
+    }
+
+    function track(models){
+	if(!Array.isArray(models)){
+	    models = Array.prototype.slice.call(arguments, 0);
+	}
+	return function(sched, clock, next){
+	    var i = 0;
+	    function iter(sched, clock){
+		if(i < models.length){
+		    models[i++](sched, clock, iter);
+		}
+		else{
+		    next(sched, clock, stop);
+		}
+	    }
+	    iter(sched, clock);
+	};
+    }
+
+    function delay(dt){
+	return function(sched, clock, next){
+	    var end = {t1: clock.t1 + dt.valueOf() / clock.rate.valueOf(), t1r: clock.t1r + dt.valueOf(), rate: clock.rate};
+	    at(end.t1, function(){
+		next(sched, end, stop);
+	    });
+	};
+    }
+
+    function rate(r){
+	return function(sched, clock, next){
+	    next(sched, {t1: clock.t1, t1r: clock.t1r, rate: r}, stop);
+	};
+    }
+
+    function fire(fn){
+	return function(sched, clock, next){
+	    fn(clock);
+	    next(sched, clock, stop);
+	};
+    }
+
+    function dynamic(fn){
+	return function(sched, clock, next){
+	    fn(clock)(sched, clock, next);
+	};
+    }
+
+    function loop(model){
+	return function(sched, clock, next){
+	    function again(sched, clock){
+		model(sched, clock, again);
+	    }
+	    again(sched, clock);
+	};
+    }
+
+    function play(model){
+	model(self, {t1: now, t1r: 0, rate: 1}, stop);
+    }
+
+    //plays what was scheduled up to until seconds (all of it by default), returns the time reached
+    function run(until){
+	until = until === undefined ? Infinity : until;
+	while(queue.length > 0 && queue[0].time < until){
+	    var item = queue.shift();
+	    now = item.time;
+	    item.fn();
+	}
+	return now;
+    }
+
+    self.stop = stop;
+    self.track = track;
+    self.delay = delay;
+    self.rate = rate;
+    self.fire = fire;
+    self.dynamic = dynamic;
+    self.loop = loop;
+    self.play = play;
+    self.run = run;
+    self.time = function(){ return now; };
+    return self;
+}
+
+exports.create = create;
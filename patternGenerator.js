@@ -0,0 +1,156 @@
+/*
+
+Pattern generator -- makes new variants of a seed pattern (eg: from kSol in
+patternsList.js) by inserting rests, speeding up strokes and moving loudness
+accents. These are the "Settings for generic patterns" in autoAccompaniment.html
+
+Settings:
+
+genericity   -> 1 (generic) to 4 (non generic), generic variants change strokes on
+                the beat, non generic ones more and more off the beat
+accents      -> positions (from 1) to accent, or numAccents to pick them
+rests        -> positions (from 1) to turn into rests, or numRests to pick them
+speed        -> positions (from 1) to play at double or quadruple speed, or numSpeed to pick them
+offset       -> eduppu of the variant, in units (quarter aksharas)
+random       -> function returning numbers in [0, 1), Math.random by default
+
+Variants are [diction, ts, loudness, eduppu] entries, speeded up strokes are
+nested groups in their slot (see rhythmObject.js).
+
+*/
+
+var utils = require("./utilities");
+var rhythm = require("./rhythmObject");
+
+function settings(options){
+    options = options || {};
+    return {
+	genericity: Math.min(4, Math.max(1, options.genericity || 1)),
+	accents: options.accents || null,
+	numAccents: options.numAccents || 0,
+	rests: options.rests || null,
+	numRests: options.numRests || 0,
+	speed: options.speed || null,
+	numSpeed: options.numSpeed || 0,
+	offset: options.offset || 0,
+	random: options.random || Math.random
+    };
+}
+
+//for each slot, whether it starts on an akshara
+function beats(diction, ts){
+    var flags = [];
+    rhythm.gatiSegments(ts, diction.length).forEach(function(seg){
+	for(var i=0; i<seg.length; i++){
+	    var onset = seg.unitStart + i * 4 / seg.timeSign;
+	    flags.push(Math.abs(onset / 4 - Math.round(onset / 4)) < 1e-9);
+	}
+    });
+    return flags;
+}
+
+//picks count slot indices out of candidates, off beat slots become more likely as genericity goes up
+function pick(candidates, count, s){
+    var onBeat = candidates.filter(function(i){ return s.beats[i]; });
+    var offBeat = candidates.filter(function(i){ return !s.beats[i]; });
+    var offChance = (s.genericity - 1) / 3;
+    var chosen = [];
+
+    while(chosen.length < count && (onBeat.length > 0 || offBeat.length > 0)){
+	var useOff = offBeat.length > 0 && (onBeat.length == 0 || s.random() < offChance);
+	var from = useOff ? offBeat : onBeat;
+	var index = Math.floor(s.random() * from.length);
+	chosen.push(from.splice(index, 1)[0]);
+    }
+    return chosen.sort(function(a, b){ return a - b; });
+}
+
+//positions given from 1 -> slot indices
+function toIndices(positions, length){
+    return positions.map(function(p){
+	return p - 1;
+    }).filter(function(i){
+	return i >= 0 && i < length;
+    });
+}
+
+function isRest(slot){
+    return slot == ".";
+}
+
+//makes a variant of a seed entry [diction, ts, loudness, eduppu]
+function variant(seed, options){
+    var s = settings(options);
+    var diction = seed[0].slice(), ts = seed[1], loudness = (seed[2] || []).slice();
+    var all = diction.map(function(d, index){ return index; });
+    s.beats = beats(diction, ts);
+
+    //rests
+    var rests = s.rests ? toIndices(s.rests, diction.length) : pick(all.filter(function(i){
+	return i > 0 && !isRest(diction[i]); //the first stroke is kept to mark the start
+    }), s.numRests, s);
+    rests.forEach(function(i){
+	diction[i] = ".";
+    });
+
+    //double or quadruple speed, quadruple becomes more likely as genericity goes up
+    var speed = s.speed ? toIndices(s.speed, diction.length) : pick(all.filter(function(i){
+	return !isRest(diction[i]) && !Array.isArray(diction[i]);
+    }), s.numSpeed, s);
+    speed.forEach(function(i){
+	if(isRest(diction[i])){
+	    return;
+	}
+	var times = s.random() < (s.genericity - 1) / 6 ? 4 : 2;
+	diction[i] = utils.generateBaseValue(times, diction[i]);
+    });
+
+    //accents of the seed move by a slot with a chance that grows with genericity
+    var moveChance = (s.genericity - 1) / 4;
+    loudness = loudness.map(function(a){
+	if(s.random() < moveChance){
+	    var moved = a + (s.random() < 0.5 ? -1 : 1);
+	    return moved >= 1 && moved <= diction.length ? moved : a;
+	}
+	return a;
+    });
+    var accents = s.accents ? toIndices(s.accents, diction.length) : pick(all.filter(function(i){
+	return !isRest(diction[i]) && loudness.indexOf(i + 1) == -1;
+    }), s.numAccents, s);
+    accents.forEach(function(i){
+	loudness.push(i + 1);
+    });
+    loudness = loudness.filter(function(a, index){
+	return loudness.indexOf(a) == index && !isRest(diction[a - 1]);
+    }).sort(function(a, b){ return a - b; });
+
+    return [diction, ts, loudness, s.offset / 4];
+}
+
+//the seed entry numbered id (from 0) of a list of patterns, a random one when id is not a number
+//throws when there is no such pattern, random -> as in the settings
+function seed(patterns, id, random){
+    if(isNaN(id)){
+	if(patterns.length == 0){
+	    throw new Error("there are no patterns to make a variant of");
+	}
+	return patterns[Math.floor((random || Math.random)() * patterns.length)];
+    }
+    if(id < 0 || id >= patterns.length || id % 1 != 0){
+	throw new Error("pattern " + id + " is not one of the " + patterns.length + " patterns, numbered from 0");
+    }
+    return patterns[id];
+}
+
+//makes count variants of a seed
+function variants(seed, count, options){
+    var list = [];
+    for(var i=0; i<count; i++){
+	list.push(variant(seed, options));
+    }
+    return list;
+}
+
+exports.variant = variant;
+exports.variants = variants;
+exports.seed = seed;
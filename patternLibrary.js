@@ -0,0 +1,242 @@
+/*
+
+Pattern library module -- loads mridangam/kanjira pattern libraries from JSON
+files (see patterns/) and validates them before they reach rhythmPattern.
+
+A library file looks like:
+
+{
+    "instrument": "kanjira",
+    "tala": "chatusra eka",                       -> any name tala.js knows, sets the cycle length
+    "patterns": [
+        {
+            "id": "kanjira-01",
+            "strokes": ["tum",".","tum","ta", ...],   -> a slot can be a group of strokes ["ki","ta"]
+            "nadai": [11,0.25,8],                 -> [start, dur, timeSign] as in patternsList.js or a list
+                                                     of gati segments [[strokes, timeSign], ...]
+            "accents": [1,5],                     -> loudness accents, counted from 1
+            "eduppu": 0.5,                        -> start of the pattern from samam in aksharas, 0 if absent
+            "tags": ["plain","nadai"],
+            "provenance": {"source": "patternsList.js"}
+        }
+    ]
+}
+
+Loaded patterns are returned as [diction, ts, loudness, eduppu] entries, the same
+shape as the hand typed entries in patternsList.js
+
+*/
+
+var talas = require("./tala");
+var validator = require("./patternValidator");
+
+//strokes that have a sample, see instruments.js
+var knownStrokes = validator.knownStrokes;
+
+//a slot of the strokes, a stroke or a group of slots played in its time, see rhythmObject.js
+var slot = {type: ["string", "array"], minItems: 1};
+slot.items = slot;
+
+//structure of a library file, checked before the rhythmic checks
+var schema = {
+    type: "object",
+    required: ["instrument", "tala", "patterns"],
+    properties: {
+	instrument: {type: "string"},
+	tala: {type: "string"},
+	patterns: {
+	    type: "array",
+	    items: {
+		type: "object",
+		required: ["id", "strokes", "nadai"],
+		properties: {
+		    id: {type: "string"},
+		    strokes: {type: "array", items: slot},
+		    nadai: {type: "array", items: {type: ["number", "array"]}},
+		    accents: {type: "array", items: {type: "number"}},
+		    eduppu: {type: "number"},
+		    tags: {type: "array", items: {type: "string"}},
+		    provenance: {type: "object"}
+		}
+	    }
+	}
+    }
+};
+
+//error thrown for an invalid library, errors holds every problem found
+function LibraryError(errors){
+    this.name = "LibraryError";
+    this.errors = errors;
+    this.message = "invalid pattern library:\n" + errors.join("\n");
+}
+LibraryError.prototype = Object.create(Error.prototype);
+LibraryError.prototype.constructor = LibraryError;
+
+function typeOf(value){
+    if(Array.isArray(value)){
+	return "array";
+    }
+    return value === null ? "null" : typeof value;
+}
+
+//checks value against the schema and appends messages to errors
+//spec.type is a type name or a list of allowed type names, spec.items and spec.minItems are checked for arrays
+function checkSchema(value, spec, path, errors){
+    var types = [].concat(spec.type);
+    if(types.indexOf(typeOf(value)) == -1){
+	errors.push(path + ": expected " + types.join(" or ") + " but found " + typeOf(value));
+	return;
+    }
+    if(spec.type == "object"){
+	(spec.required || []).forEach(function(key){
+	    if(!(key in value)){
+		errors.push(path + ": missing '" + key + "'");
+	    }
+	});
+	Object.keys(spec.properties || {}).forEach(function(key){
+	    if(key in value){
+		checkSchema(value[key], spec.properties[key], path + "." + key, errors);
+	    }
+	});
+    }
+    if(Array.isArray(value) && value.length < (spec.minItems || 0)){
+	errors.push(path + ": expected at least " + spec.minItems + " items but found " + value.length);
+    }
+    if(Array.isArray(value) && spec.items){
+	value.forEach(function(item, index){
+	    checkSchema(item, spec.items, path + "[" + index + "]", errors);
+	});
+    }
+}
+
+//rhythmic checks on a single pattern, returns a list of messages
+function checkPattern(p, tala, strokes){
+    return validator.checkEntry([p.strokes, p.nadai, p.accents, p.eduppu], {tala: tala, strokes: strokes});
+}
+
+//validates a parsed library, throws LibraryError listing every problem
+//options.strokes -> strokes that can be played, defaults to the ones with a sample
+function validate(library, options){
+    var strokes = (options && options.strokes) || knownStrokes;
+    var errors = [];
+
+    checkSchema(library, schema, "library", errors);
+    if(errors.length > 0){
+	throw new LibraryError(errors);
+    }
+
+    var tala;
+    try{
+	tala = talas.lookup(library.tala);
+    }
+    catch(err){
+	throw new LibraryError(["library.tala: " + err.message]);
+    }
+
+    var ids = {};
+    library.patterns.forEach(function(p, index){
+	var name = "patterns[" + index + "] (" + p.id + ")";
+	if(ids[p.id]){
+	    errors.push(name + ": duplicate id");
+	}
+	ids[p.id] = true;
+	checkPattern(p, tala, strokes).forEach(function(e){
+	    errors.push(name + ": " + e);
+	});
+    });
+    if(errors.length > 0){
+	throw new LibraryError(errors);
+    }
+    return library;
+}
+
+//converts a validated library into patternsList.js style entries -> [diction, ts, loudness, eduppu]
+//each entry keeps the id of its pattern as entry.id
+function toEntries(library){
+    return library.patterns.map(function(p){
+	var entry = [p.strokes, p.nadai, p.accents || [], p.eduppu || 0];
+	entry.id = p.id;
+	return entry;
+    });
+}
+
+//builds a library (in the file format above) out of [diction, ts, loudness, eduppu] entries
+//ids are made from the instrument and the position of each entry
+function toLibrary(instrument, tala, entries, provenance){
+    return {
+	instrument: instrument,
+	tala: tala,
+	patterns: entries.map(function(e, index){
+	    return {
+		id: instrument + "-" + (index + 1),
+		strokes: e[0],
+		nadai: e[1],
+		accents: e[2] || [],
+		eduppu: e[3] || 0,
+		tags: [],
+		provenance: provenance || {}
+	    };
+	})
+    };
+}
+
+//parses and validates library JSON (text or object) -> {instrument, tala, ids, entries, patterns}
+function fromJSON(json, options){
+    var library;
+    if(typeof json == "string"){
+	try{
+	    library = JSON.parse(json);
+	}
+	catch(err){
+	    throw new LibraryError(["library: " + err.message]);
+	}
+    }
+    else{
+	library = json;
+    }
+    validate(library, options);
+    return {
+	instrument: library.instrument,
+	tala: library.tala,
+	ids: library.patterns.map(function(p){ return p.id; }),
+	entries: toEntries(library),
+	patterns: library.patterns
+    };
+}
+
+//fetches a library file and calls callback(err, library)
+function load(url, options, callback){
+    if(typeof options == "function"){
+	callback = options;
+	options = {};
+    }
+    var request = new XMLHttpRequest();
+    request.open('GET', url, true);
+    request.onload = function(){
+	if(request.status != 200 && request.status != 0){
+	    callback(new Error("could not load " + url + " (" + request.status + ")"));
+	    return;
+	}
+	var library;
+	try{
+	    library = fromJSON(request.responseText, options);
+	}
+	catch(err){
+	    callback(err);
+	    return;
+	}
+	callback(null, library);
+    };
+    request.onerror = function(){
+	callback(new Error("could not load " + url));
+    };
+    request.send();
+}
+
+exports.LibraryError = LibraryError;
+exports.knownStrokes = knownStrokes;
+exports.schema = schema;
+exports.validate = validate;
+exports.fromJSON = fromJSON;
+exports.toLibrary = toLibrary;
+exports.load = load;
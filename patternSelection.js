@@ -0,0 +1,171 @@
+/*
+
+Pattern selection module -- chooses the accompaniment pattern to play next by its
+distance (see patternDistance.js) to what the lead has just played.
+
+A policy is {name, k, threshold}, or its text as typed in the policy input of
+autoAccompaniment.html:
+
+best          -> the closest pattern
+top 3         -> one of the k closest patterns at random
+threshold 0.5 -> one of the patterns at most that share of the distance of the farthest one, at random
+random        -> any pattern, ignoring the lead
+
+choose() returns -1 when no pattern qualifies and the player falls back to the
+fallback() pattern of the tala.
+
+With a transition model (see transitionModel.js) patterns are ranked by a score that
+mixes the distance to the lead with how naturally they follow the patterns played
+before, each scaled by its largest value among the candidates:
+
+score = (1 - continuity) * distance + continuity * transition cost
+
+The threshold policy compares the distance alone, scaled the same way, so that a threshold
+means the same for the metrics of every role (see roles.js).
+
+*/
+
+var rhythm = require("./rhythmObject");
+var distance = require("./patternDistance");
+var transitions = require("./transitionModel");
+
+var policies = ["best", "top", "threshold", "random"];
+
+//reads a policy from its text, eg: "top 3", or checks a policy object
+function parse(spec){
+    var policy = spec;
+    if(typeof spec == "string"){
+	var words = spec.trim().split(/\s+/);
+	policy = {name: words[0]};
+	if(words[0] == "top"){
+	    policy.k = parseInt(words[1], 10);
+	}
+	else if(words[0] == "threshold"){
+	    policy.threshold = parseFloat(words[1]);
+	}
+    }
+    if(policies.indexOf(policy.name) == -1){
+	throw new Error("unknown selection policy '" + policy.name + "', known ones are " + policies.join(", "));
+    }
+    if(policy.name == "top" && !(policy.k >= 1)){
+	throw new Error("top needs the number of patterns to choose from, eg: top 3");
+    }
+    if(policy.name == "threshold" && !(policy.threshold >= 0 && policy.threshold <= 1)){
+	throw new Error("threshold needs a share of the largest distance between 0 and 1, eg: threshold 0.5");
+    }
+    return policy;
+}
+
+//distance of each candidate [diction, ts, loudness, eduppu] entry to a lead entry, best first
+//-> [{index, distance, relative, cost, score}], relative is the distance scaled by the largest one
+//options.eduppu -> eduppu of candidates that have none, options.metric -> see distanceMetrics.js
+//options.lead and options.accompaniment -> instruments of the lead and the candidates
+//options.model, options.history and options.continuity -> transition model, patterns played before (oldest first)
+//and how much the transition cost counts (0.3 by default)
+function rank(lead, candidates, options){
+    options = options || {};
+    var mr = rhythm.rhythmPattern(lead[0], lead[2] || [], lead[1], lead[3], options.lead || "mridangam")[1];
+    var ranked = candidates.map(function(k, index){
+	var edu = k[3] === undefined ? options.eduppu : k[3];
+	var kan = rhythm.rhythmPattern(k[0], k[2] || [], k[1], edu, options.accompaniment || "kanjira")[1];
+	return {
+	    index: index,
+	    distance: distance.compare(mr, kan, options.metric)[0],
+	    cost: options.model ? transitions.cost(options.model, options.history || [], k) : 0
+	};
+    });
+    var w = options.model ? (options.continuity === undefined ? 0.3 : options.continuity) : 0;
+    var maxDistance = Math.max.apply(null, ranked.map(function(r){ return r.distance; }).concat(0)) || 1;
+    var maxCost = Math.max.apply(null, ranked.map(function(r){ return r.cost; }).concat(0)) || 1;
+    ranked.forEach(function(r){
+	r.relative = r.distance / maxDistance;
+	r.score = (1 - w) * r.relative + w * r.cost / maxCost;
+    });
+    return ranked.sort(function(a, b){
+	return a.score - b.score || a.index - b.index;
+    });
+}
+
+//index of the candidate a policy picks out of ranked candidates, -1 when none qualifies
+function choose(ranked, policy){
+    policy = parse(policy);
+    var pool = ranked;
+    if(policy.name == "best"){
+	pool = ranked.slice(0, 1);
+    }
+    else if(policy.name == "top"){
+	pool = ranked.slice(0, policy.k);
+    }
+    else if(policy.name == "threshold"){
+	pool = ranked.filter(function(r){
+	    return r.relative <= policy.threshold;
+	});
+    }
+    if(pool.length == 0){
+	return -1;
+    }
+    return pool[Math.floor(Math.random() * pool.length)].index;
+}
+
+//pattern the player falls back to in a tala, a tum on every akshara of a cycle
+function fallback(tala){
+    var diction = [];
+    for(var i=0; i<tala.units; i++){
+	diction.push(i % 4 == 0 ? "tum" : ".");
+    }
+    return [diction, [0,0,4], []];
+}
+
+//whether the lead has rested for most of the last quarter of a cycle of tala (more than 5 of every 8 strokes),
+//strokes -> strokes of the lead at speed 8, the accompaniment is not heard then
+function leadResting(strokes, tala){
+    var window = tala.units / 2;
+    var rests = strokes.slice(Math.max(0, strokes.length - window)).filter(function(s){
+	return s == ".";
+    }).length;
+    return rests > window * 5 / 8;
+}
+
+//policy, transition model and weight of the transition cost used by the accompaniment
+var current = parse("best"), model = null, continuity = 0.3;
+
+function select(spec){
+    current = parse(spec);
+    return current;
+}
+
+function getCurrent(){
+    return current;
+}
+
+//model -> a transition model or null to rank by distance alone, weight -> continuity, kept when not given
+function useModel(m, weight){
+    model = m;
+    if(weight !== undefined){
+	setContinuity(weight);
+    }
+}
+
+function setContinuity(weight){
+    if(!(weight >= 0 && weight <= 1)){
+	throw new Error("continuity should be between 0 and 1");
+    }
+    continuity = weight;
+}
+
+//options of rank() for the model in use
+function modelOptions(history){
+    return {model: model, history: history, continuity: continuity};
+}
+
+exports.policies = policies;
+exports.parse = parse;
+exports.rank = rank;
+exports.choose = choose;
+exports.select = select;
+exports.current = getCurrent;
+exports.useModel = useModel;
+exports.setContinuity = setContinuity;
+exports.modelOptions = modelOptions;
+exports.fallback = fallback;
+exports.leadResting = leadResting;
@@ -0,0 +1,167 @@
+/*
+
+Pattern validator -- checks that [diction, ts, loudness, eduppu] entries (as in
+patternsList.js or a pattern library) are well formed before they reach rhythmPattern.
+
+rhythmPattern does not check its input, a nadai window that runs past the strokes
+gives a negative segment and the distance code then reads outside the patterns.
+
+Checks:
+
+cycle      -> the time the strokes take in their nadai segments must be exactly one
+              cycle of the tala, longer is overfull and shorter is underfull
+nadai      -> [start, dur, timeSign] windows and [strokes, timeSign] segments must
+              fit inside the strokes
+slots      -> a slot must be a stroke or a group of slots, groups cannot be empty
+strokes    -> every stroke must have a loaded sample
+accents    -> loudness positions must be strokes of the pattern (counted from 1)
+eduppu     -> must be shorter than a cycle
+
+validatePatterns.js runs these checks over the whole library from the command line.
+
+*/
+
+var talas = require("./tala");
+var rhythm = require("./rhythmObject");
+var instruments = require("./instruments");
+
+//strokes that have a sample, see instruments.js
+var knownStrokes = instruments.playable();
+
+//number of units (strokes at speed 4) a pattern takes to play
+function patternUnits(strokes, ts){
+    return rhythm.gatiSegments(ts, strokes.length).map(function(seg){
+	return seg.units;
+    }).reduce(function(a, b){
+	return a + b;
+    }, 0);
+}
+
+//what is wrong with a slot of the strokes, null when it is a stroke or a group of slots (see rhythmObject.js)
+function slotProblem(slot){
+    if(!Array.isArray(slot)){
+	return typeof slot == "string" ? null : JSON.stringify(slot) + " is not a stroke";
+    }
+    if(slot.length == 0){
+	return "empty group";
+    }
+    for(var i=0; i<slot.length; i++){
+	var problem = slotProblem(slot[i]);
+	if(problem){
+	    return problem;
+	}
+    }
+    return null;
+}
+
+//checks a [start, dur, timeSign] nadai window
+function checkWindow(ts, len, errors){
+    if(ts.length != 3 || ts.some(Array.isArray)){
+	errors.push("nadai must be [start, dur, timeSign] or a list of [strokes, timeSign] segments");
+	return;
+    }
+    var start = ts[0], dur = ts[1], timeSign = ts[2];
+    if(start < 0 || start % 1 != 0){
+	errors.push("nadai start " + start + " is not a stroke position");
+    }
+    if(timeSign <= 0 || timeSign % 1 != 0){
+	errors.push("nadai timeSign " + timeSign + " must be a positive whole number");
+    }
+    if(dur < 0 || (dur*timeSign) % 1 != 0){
+	errors.push("nadai dur " + dur + " does not hold a whole number of strokes at timeSign " + timeSign);
+    }
+    if(start + dur*timeSign > len){
+	errors.push("nadai window ends at stroke " + (start + dur*timeSign) + " but the pattern has " + len + " strokes");
+    }
+}
+
+//checks a list of [strokes, timeSign] gati segments
+function checkSegments(ts, len, errors){
+    var covered = 0;
+    ts.forEach(function(seg, index){
+	if(!Array.isArray(seg) || seg.length != 2){
+	    errors.push("nadai segment " + (index + 1) + " must be [strokes, timeSign]");
+	    return;
+	}
+	if(seg[0] <= 0 || seg[0] % 1 != 0){
+	    errors.push("nadai segment " + (index + 1) + " must hold a positive whole number of strokes");
+	}
+	if(seg[1] <= 0 || seg[1] % 1 != 0){
+	    errors.push("nadai segment " + (index + 1) + " timeSign " + seg[1] + " must be a positive whole number");
+	}
+	covered += seg[0];
+    });
+    if(covered > len){
+	errors.push("nadai segments cover " + covered + " strokes but the pattern has " + len + " strokes");
+    }
+}
+
+//checks a single [diction, ts, loudness, eduppu] entry, returns a list of messages
+//options.tala -> tala the pattern is played in, the current one by default
+//options.strokes -> strokes that can be played, defaults to the ones with a sample
+function checkEntry(entry, options){
+    var tala = (options && options.tala) || talas.current();
+    var strokes = (options && options.strokes) || knownStrokes;
+    var diction = entry[0], ts = entry[1], loudness = entry[2] || [], eduppu = entry[3] || 0;
+    var errors = [];
+    var len = diction.length;
+
+    diction.forEach(function(slot, index){
+	var problem = slotProblem(slot);
+	if(problem){
+	    errors.push(problem + " at position " + (index + 1));
+	    return;
+	}
+	rhythm.eachStroke(slot, 4, function(s){
+	    if(s != "." && strokes.indexOf(s) == -1){
+		errors.push("unknown stroke '" + s + "' at position " + (index + 1));
+	    }
+	});
+    });
+
+    var nadaiErrors = [];
+    if(ts.length > 0 && Array.isArray(ts[0])){
+	checkSegments(ts, len, nadaiErrors);
+    }
+    else{
+	checkWindow(ts, len, nadaiErrors);
+    }
+    errors = errors.concat(nadaiErrors);
+    if(nadaiErrors.length == 0){
+	var units = patternUnits(diction, ts);
+	if(units - tala.units > 1e-9){
+	    errors.push("overfull cycle: pattern lasts " + units + " units but a cycle of " + tala.name + " is " + tala.units);
+	}
+	else if(tala.units - units > 1e-9){
+	    errors.push("underfull cycle: pattern lasts " + units + " units but a cycle of " + tala.name + " is " + tala.units);
+	}
+    }
+
+    if(Math.abs(eduppu) >= tala.aksharas){
+	errors.push("eduppu " + eduppu + " is longer than a cycle of " + tala.aksharas + " aksharas");
+    }
+
+    loudness.forEach(function(a){
+	if(a < 1 || a > len || a % 1 != 0){
+	    errors.push("accent " + a + " is outside strokes 1.." + len);
+	}
+    });
+    return errors;
+}
+
+//checks a list of entries, returns {index, errors} for every entry with problems
+function checkEntries(entries, options){
+    var problems = [];
+    entries.forEach(function(entry, index){
+	var errors = checkEntry(entry, options);
+	if(errors.length > 0){
+	    problems.push({index: index, errors: errors});
+	}
+    });
+    return problems;
+}
+
+exports.knownStrokes = knownStrokes;
+exports.patternUnits = patternUnits;
+exports.checkEntry = checkEntry;
+exports.checkEntries = checkEntries;
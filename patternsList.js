@@ -21,9 +21,10 @@
  ];*/
  
 
-var tala = [
-    [ ["clap",".",".",".","clap",".",".",".","clap",".",".",".","clap",".",".","."], [0,0,4], [] ]   
+var talas = require("./tala");
 
+var tala = [
+    talas.clickTrack(talas.lookup("chatusra eka"))
 ];
  
  var mridangamSol = [ 
@@ -172,6 +173,19 @@ var kanjiraSol = [
 
 ];
 
+//the patterns have the ids they have in the libraries of patterns/ (see patternLibrary.js), so that they are told
+//apart the same way whichever of the two they are played from (see transitionModel.js)
+function withIds(instrument, entries){
+    entries.forEach(function(entry, index){
+	entry.id = instrument + "-" + (index < 9 ? "0" : "") + (index + 1);
+    });
+    return entries;
+}
+
+withIds("mridangam", mridangamSol);
+withIds("kanjira", kanjiraSol);
+
 exports.mSol = mridangamSol;
 exports.kSol = kanjiraSol;
+exports.tala = tala;
 
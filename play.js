@@ -1,7 +1,6 @@
 
 //takes in input, the instrument, the diction, loudness and time signature and returns an output that is playable
 
-var pDur = 8;
 var steller = org.anclab.steller;       // Alias for namespace.
 var util = steller.Util;
 
@@ -20,69 +19,266 @@ gainR.connect(merger, 0, 0);
 
 merger.connect(AC.destination);
 
-var pat = require("patternDistance");
-var strokes = require("patternsList");
-var rhythm = require("rhythmObject");
-var utils = require("utilities");
-var wholeRand = utils.wholeRand;
-var numOccurences = utils.numOccurences;
+var strokes = require("./patternsList");
+var rhythm = require("./rhythmObject");
+var utils = require("./utilities");
+var library = require("./patternLibrary");
+var talas = require("./tala");
+var instruments = require("./instruments");
+var midi = require("./midiExport");
+var selection = require("./patternSelection");
+var transitions = require("./transitionModel");
+var roles = require("./roles");
+var koraippu = require("./koraippu");
+var tempoTracker = require("./tempoTracker");
+var samam = require("./samamDetector");
+var quantizer = require("./inputQuantizer");
+var tracks = require("./tracks");
 
 var rhythmPattern = rhythm.rhythmPattern;
 
 var mridangam, kanjira; //currently playing rhythm objects
-var fallback = ["tum",".",".",".","tum",".",".",".","tum",".",".",".","tum",".",".","."]; 
 var mridangamSol = strokes.mSol;
 var kanjiraSol = strokes.kSol;
 
 
-var mSol = [], mstroke = ["."], loud = 1.0;
+var mSol = [], loud = 1.0;
 document.getElementById('tempo').addEventListener( "change", function(){		
     tempo = document.getElementById("tempo").value;
-    //set delay range to 30ms
-    delay_range = (2 *tempo )/ 600;
+    setTempo(tempo);
 }); 
 
-var curHitTime =0, prevHitTime = 0;
-var mLastPlayed = [];
+//the accompaniment, the tala and the lead input run on clockRate, which follows the lead (see tempoTracker.js)
+//while following is on, and cycleClock is the clock of the tala on samam that strokes of the lead are placed against
+var clockRate = steller.Param({min: 0.5, max: 10, value: 1});
+var keyRate = steller.Param({min: 1, max: 20, getter: function(){ return 2 * clockRate.valueOf(); }});
+var tracker = tempoTracker.create(60), following = true, cycleClock = null;
 
-function selectStroke( stroke, velocity,time){
+function setTempo(t){
+    tracker = tempoTracker.create(parseFloat(t) || 60);
+    clockRate.value = tracker.tempo / 60;
+}
+
+function followTempo(on){
+    following = on;
+    if(!on){
+	setTempo(tempo);
+    }
+}
+
+var queued = []; //patterns (eg: korvais) the accompaniment plays next, before going back to the library
+
+var mLastPlayed = [], mLastLoudness = []; //strokes of the lead and their loudness, one every half unit
+
+//hits of the lead waiting for their slot and placed on the grid of mLastPlayed (see inputQuantizer.js), and the
+//seconds a hit can be off the grid and still be on it
+var input = quantizer.create(), tolerance = 0.03;
+
+function setTolerance(ms){
+    if(!(ms >= 0)){
+	throw new Error("the tolerance should be a number of milliseconds, not '" + ms + "'");
+    }
+    tolerance = ms / 1000;
+    input.tolerance = tolerance;
+}
+
+//where the lead has samam (see samamDetector.js), in units from the start of the lead input, and the last samam
+//found that is waiting to be confirmed
+var leadOrigin = 0, samamShift = 0, samamFound = null;
+
+var session = [], sessionStart = 0; //strokes played since the session started, see midiExport.js
+
+var judgments = [], judged = null; //labelled pairs (see trainWeights.js) and the pair being played
+var played = []; //accompaniment patterns played since the session started, see transitionModel.js
+
+function startSession(){
+    session = [];
+    played = [];
+    sessionStart = AC.currentTime;
+}
+
+function record(instrument, stroke, time, loudness, velocity){
+    session.push({instrument: instrument, stroke: stroke, time: time - sessionStart, loudness: loudness, velocity: velocity});
+}
+
+//at -> time of the hit on the audio clock, now by default
+function selectStroke( stroke, velocity,time, at){
     
-    //each hit has a diction and time
-    mstroke = [stroke];
-    loud = mapVelLoudness( velocity);
-    curHitTime = time;
+    //each hit has a diction and time, and waits for its slot in the input
+    if(at === undefined){
+	at = AC.currentTime;
+    }
+    loud = utils.velocityLoudness(velocity);
+    if(stroke != "."){
+	quantizer.add(input, stroke, at, loud, velocity);
+    }
+    if(stroke != "." && following){
+	tempoTracker.hit(tracker, time / 1000);
+	if(cycleClock){
+	    tempoTracker.align(tracker, cycleClock.t1r + (at - cycleClock.t1) * clockRate.valueOf());
+	}
+	clockRate.value = tempoTracker.rate(tracker);
+    }
+    if(stroke != "."){
+	record("mridangam", stroke, at, loud, velocity);
+    }
+}
+
+//the lead as heard over the last cycle from samam as a [diction, ts, loudness, eduppu] entry, mLastPlayed has a stroke every half unit
+function leadEntry(){
+    var size = 2 * talas.current().units, start = leadOrigin + 2 * samamShift;
+    var end = start + Math.floor((mLastPlayed.length - start) / size) * size;
+    var strokes = end - size >= 0 ? mLastPlayed.slice(end - size, end) : mLastPlayed.slice(-size);
+    return [strokes, [[strokes.length, 8]], [], 0];
+}
+
+//labels the accompaniment being played against the lead it followed, label -> "acceptable" or "unacceptable"
+function judge(label){
+    if(judged){
+	judgments.push({label: label, lead: judged.lead, accompaniment: judged.accompaniment});
+    }
+}
+
+//labelled pairs so far -> {tala, judgments}, the file trainWeights.js reads
+function judgmentFile(){
+    return {tala: talas.current().name, judgments: judgments.slice()};
+}
+
+//fetches a text file and calls callback(err, text)
+function fetchText(url, callback){
+    var request = new XMLHttpRequest();
+    request.open('GET', url, true);
+    request.onload = function(){
+	if(request.status != 200 && request.status != 0){
+	    callback(new Error("could not load " + url + " (" + request.status + ")"));
+	    return;
+	}
+	callback(null, request.responseText);
+    };
+    request.onerror = function(){
+	callback(new Error("could not load " + url));
+    };
+    request.send();
+}
+
+//replaces the weights of instruments.js with those of a file written by trainWeights.js
+function loadWeights(url, callback){
+    fetchText(url, function(err, text){
+	if(!err){
+	    try{
+		instruments.configure(JSON.parse(text));
+	    }
+	    catch(e){
+		err = e;
+	    }
+	}
+	callback(err);
+    });
+}
+
+//ranks the accompaniment patterns with a transition model written by trainTransitions.js as well
+function loadTransitions(url, callback){
+    fetchText(url, function(err, text){
+	if(!err){
+	    try{
+		selection.useModel(transitions.fromJSON(text));
+	    }
+	    catch(e){
+		err = e;
+	    }
+	}
+	callback(err);
+    });
+}
+
+//the lead and the accompaniment patterns played since the session started as a performance (see offlineRender.js),
+//which trainTransitions.js learns from
+function sessionPerformance(){
+    return {
+	tempo: parseFloat(tempo),
+	tala: talas.current().name,
+	eduppu: talas.current().eduppu,
+	samam: samamShift,
+	lead: leadTiming(),
+	accompaniment: {instrument: "kanjira", patterns: played.slice(), ids: played.map(function(entry){
+	    return entry.id === undefined ? null : entry.id;
+	})}
+    };
+}
+
+//plays the hits of a recorded lead ([{time, stroke, velocity}], see midiImport.js) through selectStroke,
+//in place of the keyboard or MIDI input, at the times they have in the file
+function playLead(hits){
+    var last = 0;
+    sh.play(sh.track(hits.map(function(h){
+	var wait = h.time - last;
+	last = h.time;
+	return sh.track(sh.delay(wait), sh.fire(function(clock){
+	    selectStroke(h.stroke, h.velocity, h.time * 1000, clock.t1);
+	}));
+    })));
+}
+
+//the lead as it came in since the input started -> {instrument, strokes, hits}, strokes on the grid a slot every
+//half unit and the hits with their time from the session start and how far they were off the grid
+function leadTiming(){
+    return {
+	instrument: "mridangam",
+	strokes: quantizer.sequence(input),
+	hits: input.hits.map(function(h){
+	    return {time: h.time - sessionStart, stroke: h.stroke, velocity: h.velocity, slot: h.slot, deviation: h.deviation, onGrid: h.onGrid};
+	})
+    };
+}
+
+//strokes played since the session started -> [{instrument, stroke, time, loudness, velocity}]
+function sessionEvents(){
+    return session.slice();
 }
 
-function mapVelLoudness( vel){
-    var low = 30, high = 127, maxAmp = 2.0;
-    return ( (vel - low )/ ( high- low) ) * maxAmp;
+//the session as a Standard MIDI File
+function exportMidi(options){
+    options = options || {};
+    options.tempo = options.tempo || tempo;
+    options.tala = options.tala || talas.current();
+    return midi.toSMF(session, options);
 }
 
 function strokepress(){
 
     //mapMridangamKey(String.fromCharCode(e.keyCode)) || ".";      
     //trying to use time to see if note has been hit or not
+    leadOrigin = mLastPlayed.length;
+    samamShift = 0;
+    samamFound = null;
+    input = quantizer.create({tolerance: tolerance});
 
+    //every half unit the hits that came in are placed on the grid, the ones of this slot are played over it and
+    //the ones that came in after their slot (late, or between the two points before) are played now and amend it
     var keygen = sh.loop(sh.dynamic(function (clock) {
-	debugger;
-	var prev = prevHitTime; //storing prevHit and updating it to current
-	prevHitTime = curHitTime;
-	return sh.track( mstroke.map( function (s,index,arr){
-	    
-	    if( s != "." && curHitTime != prev  && sounds[s]){ //ensures that a valid stroke has been hit on the keyboard for the current beat
-		mLastPlayed.push(s);
-	    	return sh.track(sounds[s].trigger(loud),sh.delay(1.0));
-	    }
-	    else{
-		mLastPlayed.push(".");
-		return sh.track(sh.delay(1.0));
-	    }
-	    
-	}));
-	
+	var taken = quantizer.tick(input, clock.t1, 1 / keyRate.valueOf());
+	var slot = input.slots[taken.index];
+	mLastPlayed.push(quantizer.value(slot));
+	mLastLoudness.push(slot.loudness);
+	taken.late.forEach(function(hit){
+	    mLastPlayed[leadOrigin + hit.slot] = quantizer.value(input.slots[hit.slot]);
+	    mLastLoudness[leadOrigin + hit.slot] = input.slots[hit.slot].loudness;
+	});
+
+	var late = taken.late.filter(function(hit){
+	    return sounds[hit.stroke];
+	}).map(function(hit){
+	    return sounds[hit.stroke].trigger(hit.loudness);
+	});
+	//the strokes of the slot, a group split evenly over it
+	var strokes = [];
+	rhythm.eachStroke(quantizer.value(slot), 1, function(s, speed){
+	    strokes.push(s != "." && sounds[s] ? sh.track(sounds[s].trigger(slot.loudness), sh.delay(1.0 / speed)) : sh.delay(1.0 / speed));
+	});
+	return sh.track(late.concat(strokes));
     }));
     
-    sh.play(sh.track (sh.rate(2*tempo/60),
+    sh.play(sh.track (sh.rate(keyRate),
 		      keygen));	
 
 }
@@ -90,21 +286,14 @@ function strokepress(){
 
 var tempo = 0;
 
-var wavs = ['ta', 'te', 'tum','tumki','thum', 'tha','thi','thom','num','dhin','dheem','dham','ri','tham','bheem',"sanjay","jambupathe","clap"];
-
 var sounds = {};
 
 function init_vars(){
     tempo = document.getElementById("tempo").value;
-    // will result in the wavs all being loaded in parallel.
-    var loader = sh.fork(wavs.filter(function (w) { return w !== ','; }).map(function (w) {
-	if( w == "num" || w =="dheem" || w == "clap" || w == "jambupathe"){
-	    return (sounds[w] = sh.models.sample('audio/' + w + '.wav').connect(gainR)).load;  
-	}
-	else{
-	    return (sounds[w] = sh.models.sample('audio/' + w + '.wav').connect(gainL)).load;  
-	}
-	
+    setTempo(tempo);
+    // will result in the samples of instruments.js all being loaded in parallel.
+    var loader = sh.fork(instruments.samples().map(function (s) {
+	return (sounds[s.stroke] = sh.models.sample('audio/' + s.sample + '.wav').connect(s.pan == "right" ? gainR : gainL)).load;
     }));
     
     sh.play(loader);
@@ -113,110 +302,237 @@ function init_vars(){
 
 init_vars();
 
+//replaces the patterns of an instrument with those of a library file (see patternLibrary.js)
+function loadLibrary(url, callback){
+    library.load(url, {strokes: instruments.playable()}, function(err, lib){
+	if(!err && talas.lookup(lib.tala).units != talas.current().units){
+	    err = new Error(url + " is in " + lib.tala + " but " + talas.current().name + " is selected");
+	}
+	if(!err){
+	    if(lib.instrument == "mridangam"){
+		mridangamSol = lib.entries;
+	    }
+	    else{
+		kanjiraSol = lib.entries;
+	    }
+	}
+	if(callback){
+	    callback(err, lib);
+	}
+    });
+}
+
 
-function playAcc(instrument, dict, loud, ts) {
+function playAcc(instrument, dict, loud, ts, eduppu) {
 
-    //selects pattern each time and plays it
+    //selects pattern each time and plays it, starting each pattern at its eduppu in the tala cycle
     
     var dur = 300 * (60/tempo);
 	
     var song = sh.loop( sh.track ( sounds["jambupathe"].trigger(1.0), sh.delay(dur)));
     sh.play( song);
     
-    var generator = sh.loop(sh.dynamic(function (clock) {
-	
-	var play;
-
-	if(instrument == "mridangam"){
+    //the kanjira joins on samam after the first cycle of the lead
+    var acc = tracks.accompaniment(sh, sounds, {
+	instrument: instrument,
+	tala: talas.current,
+	shift: function(){ return samamShift; },
+	join: instrument == "kanjira" ? talas.current().units : 0,
+	onStroke: function(s, clock, loudness){
+	    record(instrument, s, clock.t1, loudness);
+	},
+	next: function(){
+	    var edu = eduppu;
+
+	    if(instrument == "mridangam"){
 	    
-	}
-	else{
-
-	    var len = mLastPlayed.length;
-	    if( numOccurences(".", mLastPlayed.slice(len-8,len))> 5) {
-	    	gainL.gain.value = 0;
-	    	
-	    }
-	    else if(gainL.gain.value == 0){
-		gainL.gain.value = 1;
-		
 	    }
-	    
-	    var kan = kanjiraSol[wholeRand(0, kanjiraSol.length)];
-	    dict = kan[0];
-	    ts = kan[1];
-	    loud = [];	
-	}
-	//select from one of the acceptable patterns and play
-	play = rhythmPattern(dict,loud,ts);
-	//kanjira = play[1];
-	debugger;
-	var strokeSeq = play[0][2];
-	var strokeTempo = play[0][1];
-	var strokeAccent = play[0][0];
-	var del = 0.0;
-	mSol = [];
-	
-	document.getElementById(instrument).value = "[" + strokeSeq.join(" ") + "]";		    //needs to improve	
-	
-	return sh.track( strokeSeq.map(function(s,index){
-	    //var del = sh.delay(4.0/(10 * strokeTempo[index]));
+	    else{
 
-	    try{
-		
-	    	if(s == "."){
-		    return sh.delay(4.0/strokeTempo[index]);
+		if(selection.leadResting(mLastPlayed, talas.current())) {
+	    	    gainL.gain.value = 0;
+	    	
 		}
-		else{	
-		    return sh.track([  sounds[s].trigger(strokeAccent[index]), sh.delay(4.0/strokeTempo[index])]);
+		else if(gainL.gain.value == 0){
+		    gainL.gain.value = 1;
+		
 		}
+	    
+		var kan = queued.length > 0 ? queued.shift() : nextPattern();
+		dict = kan[0];
+		ts = kan[1];
+		loud = kan[2] || [];	
+		edu = kan[3];
 	    }
-	    catch(err){
-		//debugger;
+	    if(edu === undefined){
+		edu = talas.current().eduppu;
 	    }
-
-	}));
+	    var entry = [dict, ts, loud, edu];
+	    if(instrument != "mridangam"){
+		judged = {lead: leadEntry(), accompaniment: [dict, ts, loud, edu]};
+		if(kan.id !== undefined){
+		    entry.id = kan.id;
+		}
+		played.push(entry);
+	    }
+	    mSol = [];
 	
-    }));
-    
-    var del = 0.0;
-    if(instrument == "kanjira"){
-	del = 8;
-    }
+	    document.getElementById(instrument).value = entryText(entry);		    //needs to improve	
+	    return entry;
+	}
+    });
     
-    sh.play(sh.track (sh.rate(tempo/60),
-		      sh.delay(del),
-		      generator));	
+    sh.play(sh.track (sh.rate(clockRate),
+		      acc));	
     
 };
 
+//the kanjira pattern the selection policy picks for the last cycle of the lead (see patternSelection.js)
+//scored by the metric of the role in use (see roles.js), the fallback pattern when none qualifies
+function nextPattern(){
+    var options = selection.modelOptions(played);
+    options.eduppu = talas.current().eduppu;
+    options.metric = roles.metric();
+    var ranked = selection.rank(leadEntry(), kanjiraSol, options);
+    var index = selection.choose(ranked, selection.current());
+    return index == -1 ? selection.fallback(talas.current()) : kanjiraSol[index];
+}
+
+//koraippu for the tani avartanam (see koraippu.js), the kanjira answers each phrase of the lead with a
+//phrase of the same length, started on samam together with the lead and the tala
+function playKoraippu(){
+    var origin = mLastPlayed.length; //the lead is heard from samam
+    var now = 0, heardFrom = 0; //units from samam, units from which the lead has not been answered yet
+    var length = koraippu.lengths(talas.current())[0]; //length of the last phrase, phrases get shorter from 2 cycles
+
+    var answers = sh.loop(sh.dynamic(function (clock) {
+	var strokes = mLastPlayed.slice(origin);
+	var phrase = koraippu.listen(strokes, talas.current(), now, {from: heardFrom, length: length});
+	var entry = phrase && koraippu.answer(strokes, phrase, kanjiraSol, {policy: selection.current(), metric: roles.metric("imitate")});
+	if(!entry){
+	    now += 0.5;
+	    return sh.delay(0.5);
+	}
+	var play = rhythmPattern(entry[0], entry[2], entry[1], 0, "kanjira");
+	document.getElementById("kanjira").value = patternText(entry[0], play[2]);
+	judged = {lead: koraippu.phraseEntry(strokes, phrase), accompaniment: entry};
+	played.push(entry);
+	now += phrase.length;
+	heardFrom = now;
+	length = phrase.length;
+	return strokeTrack(play[0], "kanjira");
+    }));
+
+    sh.play(sh.track (sh.rate(clockRate),
+		      answers));
+}
+
+//plays a [diction, ts, loudness, eduppu] entry once, straight away
+function audition(entry){
+    var play = rhythmPattern(entry[0], entry[2] || [], entry[1], entry[3]);
+    sh.play(sh.track (sh.rate(tempo/60),
+		      strokeTrack(play[0])));
+}
+
+//patterns the accompaniment chooses from for an instrument
+function patterns(instrument){
+    return instrument == "mridangam" ? mridangamSol : kanjiraSol;
+}
+
+//adds a [diction, ts, loudness, eduppu] entry to the patterns of an instrument
+function addPattern(instrument, entry){
+    patterns(instrument).push(entry);
+}
+
+//queues a [diction, ts, loudness, eduppu] entry, eg: a korvai from korvai.js, to be played next by the accompaniment
+function queuePattern(entry){
+    queued.push(entry);
+}
+
+//text shown for a [diction, ts, loudness, eduppu] entry
+function entryText(entry){
+    return patternText(entry[0], rhythm.gatiSegments(entry[1], entry[0].length));
+}
+
+//text shown for a pattern in the notation of solkattuParser.js, each gati segment is marked with its speed
+function patternText(dict, segments){
+    function slotText(slot){
+	return Array.isArray(slot) ? "[" + slot.map(slotText).join(" ") + "]" : slot;
+    }
+    return "[" + segments.filter(function(seg){ return seg.length > 0; }).map(function(seg){
+	return "<" + seg.timeSign + "> " + dict.slice(seg.start, seg.start + seg.length).map(slotText).join(" ");
+    }).join(" ") + "]";
+}
+
+//moves samam to where the lead has it once it has been found in the same place twice in a row
+//and is at least half a unit away from the samam followed so far
+function findSamam(){
+    var found = samam.detect(mLastPlayed.slice(leadOrigin), talas.current(), {loudness: mLastLoudness.slice(leadOrigin)});
+    if(!found || found.confidence < 0.1){
+	samamFound = null;
+	return;
+    }
+    var units = talas.current().units;
+    var apart = Math.abs(found.samam - samamShift);
+    if(samamFound !== null && samamFound == found.samam && Math.min(apart, units - apart) >= 0.5){
+	samamShift = found.samam;
+    }
+    samamFound = found.samam;
+}
+
+//plays the click track of the selected tala, a cycle at a time, moved to where samam is found in the lead
+function playTala(){
+
+    var clicks = tracks.talaTrack(sh, sounds, {
+	tala: talas.current,
+	shift: function(){
+	    findSamam();
+	    return samamShift;
+	},
+	onCycle: function(clock){
+	    cycleClock = {t1: clock.t1, t1r: clock.t1r};
+	},
+	onStroke: function(s, clock, loudness){
+	    record("tala", s, clock.t1, loudness);
+	}
+    });
+
+    sh.play(sh.track (sh.rate(clockRate),
+		      clicks));
+}
+
+//turns the play arrays of a rhythm object ([loudness, speed, diction]) into a track (see tracks.js)
+//strokes are added to the session under instrument when it is given
+function strokeTrack(play, instrument){
+    return tracks.strokeTrack(sh, sounds, play, instrument && function(s, clock, loudness){
+	record(instrument, s, clock.t1, loudness);
+    });
+}
+
 exports.audioContext = AC;
 exports.scheduler = sh;
 exports.gainNode = gainL;
 exports.playAcc = playAcc; 
+exports.playKoraippu = playKoraippu;
+exports.followTempo = followTempo;
+exports.setTolerance = setTolerance;
+exports.leadTiming = leadTiming;
 exports.keyPress = strokepress;
 exports.selectStroke = selectStroke;
+exports.loadLibrary = loadLibrary;
+exports.playTala = playTala;
+exports.queuePattern = queuePattern;
+exports.audition = audition;
+exports.patterns = patterns;
+exports.addPattern = addPattern;
+exports.entryText = entryText;
+exports.startSession = startSession;
+exports.exportMidi = exportMidi;
+exports.sessionEvents = sessionEvents;
+exports.playLead = playLead;
+exports.judge = judge;
+exports.judgmentFile = judgmentFile;
+exports.loadWeights = loadWeights;
+exports.loadTransitions = loadTransitions;
+exports.sessionPerformance = sessionPerformance;
 
-
-/*	    do{
-	    
-	    var kan = kanjiraSol[i];
-	    dict = kan[0];
-	    ts = kan[1];
-	    loud = [];
-	    play = rhythmPattern(dict,loud,ts);
-	    
-	    kanjira = play[1];
-	    i++;
-	    
-	    }while(pat.patternDistance(mridangam, kanjira,i-1) !=0 && i<kanjiraSol.length);
-	    if( i > kanjiraSol.length){
-	    dict = fallback;
-	    ts = [0,0,4];
-	    loud = [];
-	    play = rhythmPattern(dict,loud,ts);
-	    kanjira = play[1];
-	    }
-	    console.log(pat.patternDistance(mridangam, kanjira));
-	    
-	    }*/
@@ -0,0 +1,62 @@
+/*
+
+Renders a performance (see offlineRender.js) to a WAV file from the command line
+
+node renderPerformance.js performance.json out.wav
+node renderPerformance.js performance.json out.wav --bits 24
+node renderPerformance.js performance.json out.wav --lead lead.mid  -> the lead is read from a MIDI file
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var offline = require("./offlineRender");
+var midiImport = require("./midiImport");
+
+function main(args){
+    var files = [], bits = 16, leadFile = null;
+    for(var i=0; i<args.length; i++){
+	if(args[i] == "--bits"){
+	    bits = parseInt(args[++i], 10);
+	}
+	else if(args[i] == "--lead"){
+	    leadFile = args[++i];
+	}
+	else{
+	    files.push(args[i]);
+	}
+    }
+    if(files.length != 2){
+	console.error("usage: node renderPerformance.js performance.json out.wav [--bits 16|24] [--lead lead.mid]");
+	process.exit(1);
+    }
+
+    var events;
+    try{
+	var performance = JSON.parse(fs.readFileSync(files[0], "utf8"));
+	if(leadFile){
+	    performance.lead = performance.lead || {};
+	    performance.lead.hits = midiImport.toHits(fs.readFileSync(leadFile), {instrument: performance.lead.instrument});
+	}
+	events = offline.timeline(performance);
+    }
+    catch(err){
+	console.error(err.message);
+	process.exit(1);
+    }
+
+    offline.loadKit(function(file, callback){
+	fs.readFile(path.join(__dirname, file), callback);
+    }, function(err, kit){
+	if(err){
+	    console.error(err.message);
+	    process.exit(1);
+	}
+	fs.writeFileSync(files[1], Buffer.from(offline.toWav(events, kit, {bits: bits})));
+	console.log(files[1] + ": " + events.length + " strokes");
+    }, events.map(function(e){
+	return e.stroke;
+    }));
+}
+
+main(process.argv.slice(2));
@@ -9,21 +9,81 @@ Each rhythm has the following properties:
 Diction Array -> Sequence of strokes, for eg: "ta ka dhim ta"
 Loudness Array -> positions where strokes are played with increased and decreased loudness, for eg: "1 0 0 1",
 Speed Array-> Speed at which each stroke is played in the pattern, eg: "2 2 2 2" or "2 2 2 [4,4]" 
-
-Weight Structure -> Assigns a weight for each storke in the pattern
+A slot of the diction can hold a group of strokes played in the time of one, given as an array ["ta", ["ki","ta"]]
+or as strokes separated by spaces "ki ta". Groups can be nested, the speed of each stroke in a group is the
+speed of the slot times the number of strokes in the group
+Gati segments -> Ordered list of the nadai changes in the pattern, each segment is a run of strokes played at one speed
+Eduppu -> Offset of the start of the pattern from samam, in aksharas (eg: 0.5, 0.75, -1)
+Instrument -> Name of the instrument in instruments.js, used for stroke aliases and weights (optional)
+
+Weight Structure -> Assigns a weight for each storke in the pattern, returned with the speeds, gati segments,
+offset and strokes of each slot as [weights, speeds, segments, offset, strokes]
 Accent structure -> Emphasis of strong and weak beats
 
 */
 
-var utils = require("utilities");
-var getEle = utils.getEle;
+var utils = require("./utilities");
+var instruments = require("./instruments");
+
+//normalizes ts into an ordered list of gati segments
+//ts is either [start, dur, timeSign] -> one nadai window with chatusram before and after it
+//or [[strokes, timeSign], [strokes, timeSign], ...] -> any number of segments, strokes left over are played in chatusram
+//each segment is {start, length, timeSign, unitStart, units}, start/length in strokes and unitStart/units in units (strokes at speed 4)
+function gatiSegments(ts, duration){
+    var pairs;
+    if(ts.length == 0 || !Array.isArray(ts[0])){
+	var start = ts[0] || 0, dur = ts[1] || 0, timeSign = ts[2] || 4; //dur ->no of claps
+	pairs = [[start, 4], [dur*timeSign, timeSign], [duration - start - dur*timeSign, 4]];
+    }
+    else{
+	pairs = ts.slice();
+	var covered = pairs.map(function(p){ return p[0]; }).reduce(utils.sum, 0);
+	if(covered < duration){
+	    pairs.push([duration - covered, 4]);
+	}
+    }
+
+    var segments = [], stroke = 0, unit = 0;
+    pairs.forEach(function(p){
+	var units = p[0] * 4 / p[1];
+	segments.push({start: stroke, length: p[0], timeSign: p[1], unitStart: unit, units: units});
+	stroke += p[0];
+	unit += units;
+    });
+    return segments;
+}
+
+//returns the group of strokes held in a slot, or the stroke itself when it is not subdivided
+function slotGroup(slot){
+    if(Array.isArray(slot)){
+	return slot.length == 1 ? slotGroup(slot[0]) : slot;
+    }
+    var parts = slot.split(" ").filter(function(s){ return s != ""; });
+    return parts.length > 1 ? parts : slot;
+}
 
-var rhythmPattern = function(diction, loudness, ts){   
+//calls fn(stroke, speed, first) for every stroke in a slot, in the order they are played
+//first is true for the stroke that starts the slot
+function eachStroke(slot, speed, fn, first){
+    var group = slotGroup(slot);
+    first = (first !== false);
+    if(!Array.isArray(group)){
+	fn(group, speed, first);
+	return;
+    }
+    group.forEach(function(s, index){
+	eachStroke(s, speed * group.length, fn, first && index == 0);
+    });
+}
+
+var rhythmPattern = function(diction, loudness, ts, eduppu, instrument){   
 	
 	//assign pauses
 	var duration = diction.length;
 	var pauses = [];
-	var start = ts[0], dur = ts[1], timeSign = ts[2] ; //dur ->no of claps
+	var segments = gatiSegments(ts, duration);
+	var strong = 2, weak = 0.5; //level at which they are played
+	var offset = (eduppu || 0) * 4; //eduppu in units
 	
 	diction.map(function(s,index){
 		if(s == "."){
@@ -41,27 +101,29 @@ var rhythmPattern = function(diction, loudness, ts){
 	}
 	
 
-	//returns that diction as an array
-	this.dictionArr = function (){
+	//returns that diction as an array, one entry per slot and a nested array for subdivided slots
+	var dictionArr = function (){
 
-	    var arr = diction;
-	    arr = arr.map(function(s){
-		if(s == "tum"){
-		    return "tumki";
+	    function alias(slot){
+		var group = slotGroup(slot);
+		if(Array.isArray(group)){
+		    return group.map(alias);
 		}
-		else return s;
-	    });
+		return instruments.alias(group, instrument);
+	    }
 
-	    arr = arr.map(function(s,index){
-		return s.split(" ");
+	    var arr = diction.map(function(s){
+		var a = alias(s);
+		return Array.isArray(a) ? a : [a];
 	    });
 	    
 	    return arr;
 	}
 
 	//assigns loudness level based on loudness array and pauses array
-	this.loudnessArr = function (){
-	    var s = 2, w=0.5; //level at which they are played
+	//boost -> level added to accented slots, strong by default
+	var loudnessArr = function (boost){
+	    var s = boost === undefined ? strong : boost, w = weak;
 	    var temp = utils.generateBaseValue(duration,w);
 	    var arr = temp.map(function(st,index){
 		if(utils.arrElementCmp(index,loudness) == 1){	
@@ -78,10 +140,13 @@ var rhythmPattern = function(diction, loudness, ts){
 	    return arr;
 	};
 	
-	//returns both single dimensional array and 3 arrays based on speed at which they are played
-	this.speedArr = function(){
+	//returns both single dimensional array and one array per gati segment based on speed at which they are played
+	//subdivided slots have a nested array with the speed of each of their strokes, eg: [4,4,4,[8,8]]
+	var speedArr = function(){
 	    
-	    var s = [utils.generateBaseValue(start,4), utils.generateBaseValue(dur*timeSign,timeSign),utils.generateBaseValue(duration - start - dur*timeSign,4)];
+	    var s = segments.map(function(seg){
+		return utils.generateBaseValue(seg.length, seg.timeSign);
+	    });
 	    
 	    var i =0,j=0, arr = [];
 	    while(j<s.length){
@@ -91,34 +156,84 @@ var rhythmPattern = function(diction, loudness, ts){
 		    i++;
 		}
 	    }
+
+	    arr = arr.map(function(speed, index){
+		function nest(slot, sp){
+		    var group = slotGroup(slot);
+		    if(!Array.isArray(group)){
+			return sp;
+		    }
+		    return group.map(function(g){
+			return nest(g, sp * group.length);
+		    });
+		}
+		return nest(diction[index], speed);
+	    });
 	    return [arr,s];
 	};
 	
 	//maps each stroke to a corresponding weight taking into account the loudness too
-	this.weightArr = function(){
+	var weightArr = function(){
 	    
 	    var d = dictionArr();
-	    var l = loudnessArr();
+	    var l = loudnessArr(instruments.loudness.boost);
 	    
+	    //a subdivided slot weighs as much as all of its strokes together
 	    var combined = l.map(function(s,index){
-	    	if( d[index] == "."){
-	    		return s;
-	    	}
-	    	else return getEle(d[index]) + s;
+		var w = s;
+		eachStroke(d[index], 1, function(stroke){
+		    if(stroke != "."){
+			w += instruments.weight(stroke, instrument);
+		    }
+		});
+		return w;
 	    });
  	    return combined;
 	    
 	};
 
+	//arrays used for playing, with one entry per stroke -> [loudness, speed, diction]
+	//the loudness accent of a slot is given to the stroke that starts it
+	var playArr = function(){
+
+	    var d = dictionArr();
+	    var l = loudnessArr();
+	    var loud = [], speed = [], strokes = [];
+
+	    d.forEach(function(slot, index){
+		eachStroke(slot, segmentSpeed(index), function(stroke, strokeSpeed, first){
+		    strokes.push(stroke);
+		    speed.push(strokeSpeed);
+		    if(stroke == "."){
+			loud.push(0);
+		    }
+		    else{
+			loud.push(first ? l[index] : weak);
+		    }
+		});
+	    });
+	    return [loud, speed, strokes];
+	};
+
+	//speed of the gati segment a slot falls in
+	function segmentSpeed(index){
+	    var seg = segments.filter(function(seg){
+		return index >= seg.start && index < seg.start + seg.length;
+	    })[0];
+	    return seg ? seg.timeSign : 4;
+	}
+
 	
-	var play = [loudnessArr(),speedArr()[0],dictionArr()];
-	var weight = weightArr(loudnessArr, dictionArr);
-	var weights = [weight, speedArr()[1]];
+	var play = playArr();
+	var weight = weightArr();
+	var weights = [weight, speedArr()[1], segments, offset, dictionArr()];
 
-	return [play,weights];
+	return [play,weights,segments,offset];
 
 }
     
     
 exports.rhythmPattern = rhythmPattern;
+exports.gatiSegments = gatiSegments;
+exports.eachStroke = eachStroke;
 
@@ -0,0 +1,56 @@
+/*
+
+Accompaniment roles -- what the accompaniment aims for against the last cycle of the
+lead, each role scores the patterns with its own metric of distanceMetrics.js:
+
+imitate     -> echoes the phrase of the lead, the metric selected in the metric input
+complement  -> fills the rests of the lead, "complement"
+contrast    -> plays much more or much less than the lead, "contrast"
+sparse      -> lays back with a few strokes on the beat, "sparse"
+
+The role can be switched from the role input of autoAccompaniment.html or with a MIDI
+control change (controller), whose range of values is split evenly between the roles
+in the order above.
+
+*/
+
+var metrics = require("./distanceMetrics");
+
+var order = ["imitate", "complement", "contrast", "sparse"];
+var controller = 16; //general purpose controller 1
+
+var current = "imitate";
+
+function names(){
+    return order.slice();
+}
+
+function select(role){
+    if(order.indexOf(role) == -1){
+	throw new Error("unknown role '" + role + "', known ones are " + order.join(", "));
+    }
+    current = role;
+    return current;
+}
+
+function getCurrent(){
+    return current;
+}
+
+//role for a control change value (0-127)
+function fromController(value){
+    return order[Math.min(order.length - 1, Math.floor(value * order.length / 128))];
+}
+
+//metric patterns are ranked by in a role, the one in use by default
+function metric(role){
+    role = role || current;
+    return role == "imitate" ? metrics.current() : role;
+}
+
+exports.controller = controller;
+exports.names = names;
+exports.select = select;
+exports.current = getCurrent;
+exports.fromController = fromController;
+exports.metric = metric;
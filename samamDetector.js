@@ -0,0 +1,103 @@
+/*
+
+Samam detector -- finds where samam is in the playing of the lead, so that the
+accompaniment does not have to assume the lead started on samam.
+
+The lead is heard as in play.js, strokes at speed 8 (a stroke every half unit). The
+strokes of the last cycles are folded onto one cycle, each weighing as much as its
+stroke (see instruments.js), more for heavy strokes such as num and thom and for loud
+ones, and the folded cycle is matched against the accents of the tala at every
+possible samam:
+
+samam         -> 4
+anga or clap  -> 2 (the anga structure of the tala, see tala.js)
+akshara       -> 1
+half akshara  -> 0.5
+
+The best match is samam. Its confidence is how much better it matches than the best
+match that is not next to it, relative to how much better it matches than the average,
+from 0 (as good) to 1.
+
+*/
+
+var instruments = require("./instruments");
+
+var heavyStrokes = ["num", "thom", "dham"];
+
+//accent of each half unit of a cycle of the tala, from samam
+function template(tala){
+    var accents = [];
+    for(var i=0; i<2 * tala.units; i++){
+	accents.push(i % 8 == 0 ? 1 : (i % 4 == 0 ? 0.5 : 0));
+    }
+    tala.actions.forEach(function(action, akshara){
+	if(action == "clap"){
+	    accents[8 * akshara] = 2;
+	}
+    });
+    tala.angaStarts().forEach(function(unit){
+	accents[2 * unit] = 2;
+    });
+    accents[0] = 4;
+    return accents;
+}
+
+//samam in the strokes of the lead -> {samam, confidence}, samam in units from the first stroke given,
+//null until the lead has played enough
+//options.loudness -> loudness of each stroke, options.cycles -> cycles looked at (2 by default)
+//options.heavy -> strokes that mark the beat, num, thom and dham by default
+function detect(strokes, tala, options){
+    options = options || {};
+    var size = 2 * tala.units;
+    var cycles = options.cycles || 2;
+    var heavy = options.heavy || heavyStrokes;
+    if(strokes.length < size){
+	return null;
+    }
+    var from = Math.max(0, strokes.length - cycles * size);
+    var folded = [], onsets = 0;
+    for(var b=0; b<size; b++){
+	folded.push(0);
+    }
+    for(var i=from; i<strokes.length; i++){
+	var s = Array.isArray(strokes[i]) ? strokes[i][0] : strokes[i]; //the stroke on the point of a group
+	if(s == "."){
+	    continue;
+	}
+	var w = instruments.weight(s, "mridangam") + (heavy.indexOf(s) != -1 ? 1 : 0);
+	if(options.loudness){
+	    w *= options.loudness[i] || 1;
+	}
+	folded[i % size] += w;
+	onsets++;
+    }
+    if(onsets < 4){
+	return null;
+    }
+
+    var accents = template(tala);
+    var scores = folded.map(function(x, offset){
+	var score = 0;
+	for(var b=0; b<size; b++){
+	    score += folded[(b + offset) % size] * accents[b];
+	}
+	return score;
+    });
+    var best = 0;
+    scores.forEach(function(score, offset){
+	best = score > scores[best] ? offset : best;
+    });
+    var second = 0;
+    scores.forEach(function(score, offset){
+	var apart = Math.min(Math.abs(offset - best), size - Math.abs(offset - best));
+	if(apart > 1){
+	    second = Math.max(second, score);
+	}
+    });
+    var mean = scores.reduce(function(a, b){ return a + b; }, 0) / size;
+    return {samam: best / 2, confidence: scores[best] > mean ? (scores[best] - second) / (scores[best] - mean) : 0};
+}
+
+exports.heavyStrokes = heavyStrokes;
+exports.template = template;
+exports.detect = detect;
@@ -0,0 +1,255 @@
+/*
+
+Solkattu notation parser -- reads patterns written as text and returns the
+same [diction, ts, loudness, eduppu] entries that are hand typed in patternsList.js,
+so that they can be passed straight to rhythmPattern in rhythmObject.js
+
+Notation:
+
+ta tum ki      -> strokes, one per slot
+.              -> rest
+^ta            -> stroke played with a loudness accent
+[ki ta]        -> strokes played in the time of one slot, groups can be nested
+                  eg: ta [ki [ta ka]]. An accent inside a group accents its slot
+|  and  ||     -> bar lines (anga and cycle boundaries), only recorded
+<tisra> <8>    -> nadai/gati marker, the strokes that follow are played at
+                  that speed (strokes per akshara). <chatusra> (4) is the
+                  default speed. A pattern can change nadai any number of
+                  times, a single change is written as a [start, dur, timeSign]
+                  window and more changes as a list of gati segments
+@1/2  @-1      -> eduppu, the start of the pattern from samam in aksharas,
+                  given before the first stroke
+# ...          -> comment till the end of the line
+
+Patterns are separated by blank lines, eg:
+
+ta . tum ta | ta tum tum ta || ^tum . tum ta | ta tum <8> ta te <chatusra> tum ta
+
+ta te <tisra> ta tum ta <khanda> ta te ta te tum <chatusra> ta ta
+
+*/
+
+var nadais = {
+    tisra: 3,
+    chatusra: 4,
+    khanda: 5,
+    misra: 7,
+    sankeerna: 9
+};
+
+var defaultSpeed = 4;
+
+//error thrown for malformed notation, carries the position of the offending token
+function NotationError(message, line, column, token){
+    this.name = "NotationError";
+    this.line = line;
+    this.column = column;
+    this.token = token;
+    this.message = "line " + line + ", column " + column + ": " + message + " ('" + token + "')";
+}
+NotationError.prototype = Object.create(Error.prototype);
+NotationError.prototype.constructor = NotationError;
+
+//splits one line of notation into tokens with their positions
+function tokenize(text, lineNo){
+    var tokens = [], i = 0, match;
+    var patterns = [
+	["space", /^\s+/],
+	["comment", /^#.*/],
+	["nadai", /^<[^<>]*>/],
+	["eduppu", /^@[+-]?[0-9]+(\.[0-9]+|\/[0-9]+)?/],
+	["open", /^\[/],
+	["close", /^\]/],
+	["cycle", /^\|\|/],
+	["bar", /^\|/],
+	["rest", /^\./],
+	["accent", /^\^[A-Za-z][A-Za-z0-9]*/],
+	["stroke", /^[A-Za-z][A-Za-z0-9]*/]
+    ];
+
+    while(i < text.length){
+	var rest = text.slice(i), found = false;
+	for(var p=0; p<patterns.length && !found; p++){
+	    match = patterns[p][1].exec(rest);
+	    if(match){
+		found = true;
+		if(patterns[p][0] != "space" && patterns[p][0] != "comment"){
+		    tokens.push({type: patterns[p][0], text: match[0], line: lineNo, column: i + 1});
+		}
+		i += match[0].length;
+	    }
+	}
+	if(!found){
+	    var bad = /^\S+/.exec(rest)[0];
+	    if(bad.charAt(0) == "<"){
+		throw new NotationError("unterminated nadai marker", lineNo, i + 1, bad);
+	    }
+	    throw new NotationError("unexpected token", lineNo, i + 1, bad);
+	}
+    }
+    return tokens;
+}
+
+//returns the speed named by a nadai marker such as <tisra> or <8>
+function nadaiSpeed(token){
+    var name = token.text.slice(1, -1).trim().toLowerCase();
+    if(nadais[name]){
+	return nadais[name];
+    }
+    if(/^[0-9]+$/.test(name) && parseInt(name, 10) > 0){
+	return parseInt(name, 10);
+    }
+    throw new NotationError("unknown nadai", token.line, token.column, token.text);
+}
+
+//returns the eduppu in aksharas given by a marker such as @1/2, @-1 or @0.75
+function eduppuValue(text){
+    var value = text.slice(1).split("/");
+    return value.length == 2 ? parseFloat(value[0]) / parseFloat(value[1]) : parseFloat(value[0]);
+}
+
+//builds a single pattern from its tokens
+//options.strokes -> optional list of allowed strokes
+function buildPattern(tokens, options){
+    var diction = [], loudness = [], bars = [];
+    var speed = defaultSpeed, eduppu = 0;
+    var runs = []; //[strokes, timeSign] for each run of strokes played at one speed
+    var strokes = options && options.strokes;
+    var groups = []; //open groups, innermost last
+    var accented = false; //an accent was found inside the open groups
+
+    //adds a slot (a stroke or a closed group) to the pattern or to the open group
+    function addSlot(slot, accent){
+	if(groups.length > 0){
+	    groups[groups.length - 1].slots.push(slot);
+	    accented = accented || accent;
+	    return;
+	}
+	diction.push(slot);
+	if(accent){
+	    loudness.push(diction.length); //loudness positions are counted from 1
+	}
+	if(runs.length > 0 && runs[runs.length - 1][1] == speed){
+	    runs[runs.length - 1][0]++;
+	}
+	else{
+	    runs.push([1, speed]);
+	}
+    }
+
+    tokens.forEach(function(t){
+	if(groups.length > 0 && (t.type == "bar" || t.type == "cycle" || t.type == "nadai" || t.type == "eduppu")){
+	    throw new NotationError("not allowed inside a group", t.line, t.column, t.text);
+	}
+	if(t.type == "bar" || t.type == "cycle"){
+	    bars.push(diction.length);
+	    return;
+	}
+	if(t.type == "nadai"){
+	    speed = nadaiSpeed(t);
+	    return;
+	}
+	if(t.type == "eduppu"){
+	    if(diction.length > 0 || groups.length > 0){
+		throw new NotationError("eduppu must come before the first stroke", t.line, t.column, t.text);
+	    }
+	    eduppu = eduppuValue(t.text);
+	    return;
+	}
+	if(t.type == "open"){
+	    groups.push({token: t, slots: []});
+	    return;
+	}
+	if(t.type == "close"){
+	    var group = groups.pop();
+	    if(!group){
+		throw new NotationError("unmatched group end", t.line, t.column, t.text);
+	    }
+	    if(group.slots.length == 0){
+		throw new NotationError("empty group", group.token.line, group.token.column, group.token.text);
+	    }
+	    var accent = groups.length == 0 && accented;
+	    if(groups.length == 0){
+		accented = false;
+	    }
+	    addSlot(group.slots.length == 1 ? group.slots[0] : group.slots, accent);
+	    return;
+	}
+
+	var stroke = t.type == "rest" ? "." : t.text.replace("^", "").toLowerCase();
+	if(stroke != "." && strokes && strokes.indexOf(stroke) == -1){
+	    throw new NotationError("unknown stroke", t.line, t.column, t.text);
+	}
+	addSlot(stroke, t.type == "accent");
+    });
+
+    if(groups.length > 0){
+	var open = groups[groups.length - 1].token;
+	throw new NotationError("group is not closed", open.line, open.column, open.text);
+    }
+
+    if(diction.length == 0){
+	var last = tokens[tokens.length - 1];
+	throw new NotationError("pattern has no strokes", last.line, last.column, last.text);
+    }
+
+    return {
+	diction: diction,
+	loudness: loudness,
+	ts: toTs(runs),
+	eduppu: eduppu,
+	bars: bars,
+	line: tokens[0].line
+    };
+}
+
+//returns the ts for rhythmPattern, a [start, dur, timeSign] window when there
+//is at most one nadai change and the list of gati segments otherwise
+function toTs(runs){
+    var changes = runs.filter(function(r){
+	return r[1] != defaultSpeed;
+    });
+    if(changes.length == 0){
+	return [0, 0, defaultSpeed];
+    }
+    if(changes.length == 1){
+	var start = runs[0][1] == defaultSpeed ? runs[0][0] : 0;
+	return [start, changes[0][0] / changes[0][1], changes[0][1]];
+    }
+    return runs;
+}
+
+//parses notation text into an array of patterns ({diction, loudness, ts, eduppu, bars, line})
+function parse(text, options){
+    var lines = text.split(/\r?\n/);
+    var patterns = [], tokens = [];
+
+    lines.forEach(function(line, index){
+	var lineTokens = tokenize(line, index + 1);
+	if(lineTokens.length == 0){
+	    //blank line ends the current pattern, comment only lines do not
+	    if(line.trim() == "" && tokens.length > 0){
+		patterns.push(buildPattern(tokens, options));
+		tokens = [];
+	    }
+	    return;
+	}
+	tokens = tokens.concat(lineTokens);
+    });
+    if(tokens.length > 0){
+	patterns.push(buildPattern(tokens, options));
+    }
+    return patterns;
+}
+
+//parses notation into entries in the patternsList.js format -> [diction, ts, loudness, eduppu]
+function parseLibrary(text, options){
+    return parse(text, options).map(function(p){
+	return [p.diction, p.ts, p.loudness, p.eduppu];
+    });
+}
+
+exports.NotationError = NotationError;
+exports.nadais = nadais;
+exports.parse = parse;
+exports.parseLibrary = parseLibrary;
@@ -0,0 +1,193 @@
+/*
+
+Tala module -- describes a tala as a sequence of angas and gives the cycle
+length and the hand action (clap, wave or finger count) on every akshara.
+
+Angas:
+
+laghu      -> clap followed by finger counts, length is given by the jati
+drutam     -> clap, wave
+anudrutam  -> clap
+
+The 35 suladi talas are the 7 suladi anga structures in each of the 5 jatis,
+named "<jati> <tala>" eg: "chatusra triputa" (which is also "adi"). The chapu
+talas are not made of angas and are given with their actions directly.
+
+Time inside a cycle is counted in units, a stroke at speed 4 (chatusram)
+lasts one unit, so each akshara is 4 units long.
+
+Eduppu is the point, in aksharas from samam, at which a composition starts,
+eg: 0.5, 0.75 or -1. A tala carries the eduppu used for patterns that do not
+give their own.
+
+*/
+
+var unitsPerAkshara = 4;
+
+var jatis = {
+    tisra: 3,
+    chatusra: 4,
+    khanda: 5,
+    misra: 7,
+    sankeerna: 9
+};
+
+var suladiAngas = {
+    dhruva: ["laghu", "drutam", "laghu", "laghu"],
+    matya: ["laghu", "drutam", "laghu"],
+    rupaka: ["drutam", "laghu"],
+    jhampa: ["laghu", "anudrutam", "drutam"],
+    triputa: ["laghu", "drutam", "drutam"],
+    ata: ["laghu", "laghu", "drutam", "drutam"],
+    eka: ["laghu"]
+};
+
+//common names for talas
+var aliases = {
+    "adi": "chatusra triputa",
+    "rupaka": "chatusra rupaka",
+    "rupakam": "chatusra rupaka",
+    "triputa": "tisra triputa",
+    "eka": "chatusra eka"
+};
+
+//chapu talas, given directly as actions on each akshara
+var chapu = {
+    "misra chapu": ["wave", ".", ".", "clap", ".", "clap", "."],
+    "khanda chapu": ["clap", ".", "clap", "clap", "."]
+};
+
+var defaultTala = "chatusra eka";
+
+//returns the actions on each akshara of an anga
+function angaActions(anga, jati){
+    if(anga == "laghu"){
+	var actions = ["clap"];
+	for(var i=1; i<jati; i++){
+	    actions.push("finger" + i);
+	}
+	return actions;
+    }
+    else if(anga == "drutam"){
+	return ["clap", "wave"];
+    }
+    else if(anga == "anudrutam"){
+	return ["clap"];
+    }
+    throw new Error("unknown anga '" + anga + "'");
+}
+
+//builds a tala object from its name and the actions on each akshara
+function makeTala(name, angas, actions){
+    return {
+	name: name,
+	eduppu: 0,
+	angas: angas,
+	actions: actions,
+	aksharas: actions.length,
+	units: actions.length * unitsPerAkshara,
+	//action at an akshara, counted from 0 at samam
+	actionAt: function(akshara){
+	    return actions[((akshara % actions.length) + actions.length) % actions.length];
+	},
+	//units at which each anga starts
+	angaStarts: function(){
+	    var starts = [], pos = 0;
+	    angas.forEach(function(a){
+		starts.push(pos * unitsPerAkshara);
+		pos += a.aksharas;
+	    });
+	    return starts;
+	}
+    };
+}
+
+//builds a suladi tala from a jati and the name of the suladi tala
+function suladi(jati, talaName){
+    if(!jatis[jati]){
+	throw new Error("unknown jati '" + jati + "'");
+    }
+    if(!suladiAngas[talaName]){
+	throw new Error("unknown suladi tala '" + talaName + "'");
+    }
+    var actions = [], angas = [];
+    suladiAngas[talaName].forEach(function(anga){
+	var a = angaActions(anga, jatis[jati]);
+	angas.push({anga: anga, aksharas: a.length});
+	actions = actions.concat(a);
+    });
+    return makeTala(jati + " " + talaName, angas, actions);
+}
+
+//converts an eduppu in aksharas to units
+function eduppuUnits(eduppu){
+    return (eduppu || 0) * unitsPerAkshara;
+}
+
+//finds a tala by name, eg: "adi", "misra chapu", "khanda jhampa", "tisra jati eka"
+function lookup(name){
+    var key = (name || defaultTala).toLowerCase().replace(/\s+/g, " ").replace(" jati ", " ").trim();
+    key = aliases[key] || key;
+    if(chapu[key]){
+	return makeTala(key, [{anga: "chapu", aksharas: chapu[key].length}], chapu[key]);
+    }
+    var parts = key.split(" ");
+    if(parts.length != 2 || !jatis[parts[0]] || !suladiAngas[parts[1]]){
+	throw new Error("unknown tala '" + name + "'");
+    }
+    return suladi(parts[0], parts[1]);
+}
+
+//names of all 35 suladi talas
+function suladiNames(){
+    var names = [];
+    Object.keys(suladiAngas).forEach(function(t){
+	Object.keys(jatis).forEach(function(j){
+	    names.push(j + " " + t);
+	});
+    });
+    return names;
+}
+
+//click track for a tala as a [diction, ts, loudness] entry, one stroke per unit
+//claps are accented, waves and finger counts are played softly
+function clickTrack(tala){
+    var diction = [], loudness = [];
+    tala.actions.forEach(function(action, akshara){
+	for(var i=0; i<unitsPerAkshara; i++){
+	    diction.push(i == 0 && action != "." ? "clap" : ".");
+	}
+	if(action == "clap"){
+	    loudness.push(akshara * unitsPerAkshara + 1);
+	}
+    });
+    return [diction, [0,0,4], loudness];
+}
+
+//tala used by the player and the distance computation
+var current = lookup(defaultTala);
+
+function select(name, eduppu){
+    var tala = lookup(name);
+    eduppu = eduppu || 0;
+    if(Math.abs(eduppu) >= tala.aksharas){
+	throw new Error("eduppu " + eduppu + " is longer than a cycle of " + tala.name);
+    }
+    tala.eduppu = eduppu;
+    current = tala;
+    return current;
+}
+
+function getCurrent(){
+    return current;
+}
+
+exports.unitsPerAkshara = unitsPerAkshara;
+exports.jatis = jatis;
+exports.lookup = lookup;
+exports.suladi = suladi;
+exports.suladiNames = suladiNames;
+exports.clickTrack = clickTrack;
+exports.eduppuUnits = eduppuUnits;
+exports.select = select;
+exports.current = getCurrent;
@@ -0,0 +1,77 @@
+/*
+
+Tempo tracker -- follows the tempo and beat phase of the lead from the times of its
+strokes, so that the clock of the accompaniment stays locked to a player who drifts.
+
+A tracker is {tempo, phase, last, ...}
+
+tempo -> estimated tempo in units (strokes at speed 4) per minute
+phase -> where the strokes of the lead fall on the clock of the accompaniment, in units
+         from the nearest half unit, > 0 when the accompaniment is ahead of the lead
+last  -> time of the last stroke in seconds
+
+Tempo: the time between two strokes is taken as a whole number of half units (the lead
+is heard at speed 8) at the tempo estimated so far, and the tempo it gives is smoothed
+into the estimate. Times that are further than options.tolerance from the estimate
+(eg: after a rest or in an ornament) are left out.
+
+Phase: the position of each stroke on the clock of the accompaniment is smoothed into
+phase, and rate() slows the clock down while the accompaniment is ahead and speeds
+it up while it is behind.
+
+*/
+
+//tempo -> starting tempo in units per minute
+//options.smoothing -> share of a new measurement taken into the estimates (0.2 by default)
+//options.gain -> how hard the clock is pulled towards the lead (0.2 by default)
+//options.tolerance -> largest difference to the estimate a measurement can have (0.25 by default)
+//options.min and options.max -> range of the tempo (30 to 600 by default)
+function create(tempo, options){
+    options = options || {};
+    return {
+	tempo: tempo,
+	phase: 0,
+	last: null,
+	smoothing: options.smoothing === undefined ? 0.2 : options.smoothing,
+	gain: options.gain === undefined ? 0.2 : options.gain,
+	tolerance: options.tolerance === undefined ? 0.25 : options.tolerance,
+	min: options.min || 30,
+	max: options.max || 600
+    };
+}
+
+//takes in a stroke of the lead played at time (seconds), returns the tempo estimate
+function hit(tracker, time){
+    var last = tracker.last;
+    tracker.last = time;
+    if(last === null || time <= last){
+	return tracker.tempo;
+    }
+    var half = 30 / tracker.tempo; //seconds per half unit
+    var steps = Math.max(1, Math.round((time - last) / half));
+    var measured = 30 * steps / (time - last);
+    if(Math.abs(measured - tracker.tempo) > tracker.tolerance * tracker.tempo){
+	return tracker.tempo;
+    }
+    tracker.tempo += tracker.smoothing * (measured - tracker.tempo);
+    tracker.tempo = Math.min(tracker.max, Math.max(tracker.min, tracker.tempo));
+    return tracker.tempo;
+}
+
+//takes in where a stroke of the lead fell on the clock of the accompaniment (units), returns the phase
+function align(tracker, position){
+    var error = position - Math.round(2 * position) / 2;
+    tracker.phase += tracker.smoothing * (error - tracker.phase);
+    return tracker.phase;
+}
+
+//rate for the clock of the accompaniment in units per second
+function rate(tracker){
+    var pull = Math.max(-0.5, Math.min(0.5, tracker.gain * tracker.phase));
+    return tracker.tempo / 60 * (1 - pull);
+}
+
+exports.create = create;
+exports.hit = hit;
+exports.align = align;
+exports.rate = rate;
@@ -0,0 +1,47 @@
+/*
+
+Tests for koraippu.js, run with node test/koraippu.js
+
+*/
+
+var assert = require("assert");
+var koraippu = require("../koraippu");
+var talas = require("../tala");
+
+var adi = talas.lookup("adi");
+
+//strokes of the lead at speed 8, units of playing and of rest in turn
+function lead(parts){
+    var strokes = [];
+    parts.forEach(function(units, index){
+	for(var i=0; i<2 * units; i++){
+	    strokes.push(index % 2 == 0 ? "ta" : ".");
+	}
+    });
+    return strokes;
+}
+
+//the phrases answered as the lead is listened to the way playKoraippu in play.js does, after a phrase of length
+function answered(strokes, length, until){
+    var phrases = [], heardFrom = 0;
+    for(var now=0; now<=until; now+=0.5){
+	var phrase = koraippu.listen(strokes, adi, now, {from: heardFrom, length: length});
+	if(phrase){
+	    phrases.push(phrase);
+	    heardFrom = now;
+	    length = phrase.length;
+	}
+    }
+    return phrases;
+}
+
+//a cycle and a rest is a phrase of a cycle
+assert.deepEqual(answered(lead([28, 4]), 32, 40), [{start: 0, length: 32}]);
+
+//a phrase longer than those that can follow is let go, the phrase after it is answered
+assert.deepEqual(answered(lead([36, 4, 12, 4]), 32, 64), [{start: 40, length: 16}]);
+
+//so is a phrase that does not rest until it is too long
+assert.deepEqual(answered(lead([70, 2, 12, 4]), 32, 96), [{start: 72, length: 16}]);
+
+console.log("koraippu: ok");
@@ -0,0 +1,40 @@
+/*
+
+Tests for midiExport.js, run with node test/midiExport.js
+
+*/
+
+var assert = require("assert");
+var midiExport = require("../midiExport");
+var midiImport = require("../midiImport");
+var instruments = require("../instruments");
+var talas = require("../tala");
+
+var notes = midiExport.defaultNotes;
+var weights = instruments.config().weights;
+
+//every stroke of the drums has a note
+["mridangam", "kanjira", "ghatam", "morsing"].forEach(function(name){
+    assert.deepEqual(Object.keys(notes[name]).sort(), Object.keys(weights[name]).sort(), name);
+});
+
+//every stroke of every instrument in one session, a quarter of a second apart
+var events = [];
+Object.keys(notes).forEach(function(name){
+    Object.keys(notes[name]).forEach(function(stroke){
+	events.push({instrument: name, stroke: stroke, time: events.length / 4, loudness: 1});
+    });
+});
+var bytes = midiExport.toSMF(events, {tempo: 240, tala: talas.lookup("chatusra eka")});
+
+//and each instrument reads back the strokes it played, at the times it played them
+Object.keys(notes).forEach(function(name){
+    var played = events.filter(function(e){ return e.instrument == name; });
+    var hits = midiImport.toHits(bytes, {instrument: name});
+    assert.deepEqual(hits.map(function(h){ return h.stroke; }), played.map(function(e){ return e.stroke; }), name);
+    hits.forEach(function(h, i){
+	assert.ok(Math.abs(h.time - played[i].time) < 1e-3, name + " " + h.stroke + " at " + h.time);
+    });
+});
+
+console.log("midiExport: ok");
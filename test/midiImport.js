@@ -0,0 +1,26 @@
+/*
+
+Tests for midiImport.js, run with node test/midiImport.js
+
+*/
+
+var assert = require("assert");
+var midiImport = require("../midiImport");
+var midiExport = require("../midiExport");
+
+//the notes of every instrument in midiExport.js map back to their strokes
+Object.keys(midiExport.defaultNotes).forEach(function(name){
+    var notes = midiExport.defaultNotes[name];
+    var map = midiImport.strokeMap(name);
+    assert.equal(Object.keys(map).length, Object.keys(notes).length, name);
+    Object.keys(notes).forEach(function(stroke){
+	assert.equal(map[notes[stroke]], stroke, name + " " + stroke);
+    });
+});
+
+//two strokes with the same note cannot be told apart
+assert.throws(function(){
+    midiImport.strokeMap("mridangam", {num: 63, dheem: 64, dham: 64});
+}, /strokes 'dheem' and 'dham' of mridangam have the same note 64/);
+
+console.log("midiImport: ok");
@@ -0,0 +1,33 @@
+/*
+
+Tests for patternGenerator.js, run with node test/patternGenerator.js
+
+*/
+
+var assert = require("assert");
+var generator = require("../patternGenerator");
+var patternsList = require("../patternsList");
+
+var patterns = patternsList.kSol;
+
+//seeds are numbered from 0 up to the last pattern
+assert.equal(generator.seed(patterns, 0), patterns[0]);
+assert.equal(generator.seed(patterns, patterns.length - 1), patterns[patterns.length - 1]);
+[patterns.length, -1, 1.5, 1000].forEach(function(id){
+    assert.throws(function(){
+	generator.seed(patterns, id);
+    }, new RegExp("is not one of the " + patterns.length + " patterns, numbered from 0"), "id " + id);
+});
+
+//without a number any of them can be the seed
+assert.equal(generator.seed(patterns, NaN, function(){ return 0; }), patterns[0]);
+assert.equal(generator.seed(patterns, NaN, function(){ return 0.999; }), patterns[patterns.length - 1]);
+assert.throws(function(){
+    generator.seed([], NaN);
+}, /no patterns/);
+
+//and a variant keeps the cycle of its seed
+var v = generator.variant(generator.seed(patterns, 3), {numRests: 2});
+assert.equal(v[0].length, patterns[3][0].length);
+
+console.log("patternGenerator: ok");
@@ -0,0 +1,59 @@
+/*
+
+Tests for patternLibrary.js, run with node test/patternLibrary.js
+
+*/
+
+var assert = require("assert");
+var library = require("../patternLibrary");
+
+//a library of one kanjira pattern of a cycle of chatusra eka with the given strokes
+function withStrokes(strokes){
+    return {
+	instrument: "kanjira",
+	tala: "chatusra eka",
+	patterns: [{id: "kanjira-01", strokes: strokes, nadai: [0, 0, 4]}]
+    };
+}
+
+//the messages of the LibraryError thrown for a library
+function problems(lib){
+    try{
+	library.validate(lib);
+    }
+    catch(err){
+	assert.ok(err instanceof library.LibraryError);
+	return err.errors;
+    }
+    return [];
+}
+
+var plain = ["ta","tum",".","ta","ta","tum",".","ta","ta","tum",".","ta","ta","tum",".","ta"];
+
+assert.deepEqual(problems(withStrokes(plain)), []);
+
+//a slot can be a group of strokes, or of groups
+var grouped = plain.slice();
+grouped[1] = ["ta", "te"];
+grouped[5] = ["tum", ["ta", "te"]];
+assert.deepEqual(problems(withStrokes(grouped)), []);
+assert.equal(library.fromJSON(withStrokes(grouped)).entries[0][0][5][1][1], "te");
+
+//strokes of a group that are not strokes are named with their pattern and slot
+var numbers = plain.slice();
+numbers[3] = [[1, 2]];
+assert.deepEqual(problems(withStrokes(numbers)), [
+    "library.patterns[0].strokes[3][0][0]: expected string or array but found number",
+    "library.patterns[0].strokes[3][0][1]: expected string or array but found number"
+]);
+
+//so are empty groups, they would have no strokes to play
+var empty = plain.slice();
+empty[2] = [];
+empty[6] = ["ta", []];
+assert.deepEqual(problems(withStrokes(empty)), [
+    "library.patterns[0].strokes[2]: expected at least 1 items but found 0",
+    "library.patterns[0].strokes[6][1]: expected at least 1 items but found 0"
+]);
+
+console.log("patternLibrary: ok");
@@ -0,0 +1,71 @@
+/*
+
+Tests for patternSelection.js, run with node test/patternSelection.js
+
+*/
+
+var assert = require("assert");
+var selection = require("../patternSelection");
+var talas = require("../tala");
+var validator = require("../patternValidator");
+var roles = require("../roles");
+var patternsList = require("../patternsList");
+
+//the fallback pattern is a cycle of the tala, with a tum on every akshara
+["chatusra eka", "tisra eka", "misra chapu", "adi"].forEach(function(name){
+    var tala = talas.lookup(name);
+    var entry = selection.fallback(tala);
+    assert.deepEqual(validator.checkEntry(entry, {tala: tala, strokes: ["tum"]}), [], name);
+    assert.equal(entry[0].filter(function(s){ return s == "tum"; }).length, tala.aksharas, name);
+});
+assert.deepEqual(selection.fallback(talas.lookup("chatusra eka"))[0],
+		 ["tum",".",".",".","tum",".",".",".","tum",".",".",".","tum",".",".","."]);
+
+//strokes of the lead at speed 8, playing then resting
+function lead(playing, resting){
+    var strokes = [];
+    for(var i=0; i<playing + resting; i++){
+	strokes.push(i < playing ? "ta" : ".");
+    }
+    return strokes;
+}
+
+//the lead rests when more than 5 in 8 of its strokes in the last quarter cycle are rests
+var chatusra = talas.lookup("chatusra eka"), misra = talas.lookup("misra chapu");
+assert.equal(selection.leadResting(lead(20, 5), chatusra), false);
+assert.equal(selection.leadResting(lead(20, 6), chatusra), true);
+assert.equal(selection.leadResting(lead(40, 8), misra), false);
+assert.equal(selection.leadResting(lead(40, 9), misra), true);
+assert.equal(selection.leadResting(lead(0, 3), misra), false);
+
+//the threshold is a share of the largest distance, whatever the scale of the metric of the role
+var phrase = [["num",".","dheem",".","num","num","dheem",".","num",".","dheem","dheem","num",".","dheem","."], [0,0,4], [1], 0];
+assert.throws(function(){ selection.parse("threshold 10"); }, /between 0 and 1/);
+
+//the one a policy picks when the random pick is the last of the patterns that qualify
+function last(ranked, policy){
+    var random = Math.random;
+    Math.random = function(){ return 0.999; };
+    try{
+	return selection.choose(ranked, policy);
+    }
+    finally{
+	Math.random = random;
+    }
+}
+
+roles.names().forEach(function(role){
+    var ranked = selection.rank(phrase, patternsList.kSol, {metric: roles.metric(role), eduppu: 0});
+    var relative = ranked.map(function(r){ return r.relative; });
+    assert.equal(Math.max.apply(null, relative), 1, role);
+    assert.equal(last(ranked, "threshold 1"), ranked[ranked.length - 1].index, role);
+
+    //patterns start to qualify as the threshold reaches their distance
+    var closest = relative[0], next = relative.filter(function(r){ return r > closest; })[0];
+    assert.ok(next !== undefined, role + " tells the patterns apart");
+    assert.equal(last(ranked, {name: "threshold", threshold: closest * 0.99}), -1, role);
+    assert.equal(last(ranked, {name: "threshold", threshold: closest}), ranked[relative.lastIndexOf(closest)].index, role);
+    assert.equal(last(ranked, {name: "threshold", threshold: next}), ranked[relative.lastIndexOf(next)].index, role);
+});
+
+console.log("patternSelection: ok");
@@ -0,0 +1,50 @@
+/*
+
+Tests for patternValidator.js and validatePatterns.js, run with node test/patternValidator.js
+
+*/
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var child = require("child_process");
+var validator = require("../patternValidator");
+var talas = require("../tala");
+
+var options = {tala: talas.lookup("chatusra eka"), strokes: ["ta", "te", "tum"]};
+var plain = ["ta","tum",".","ta","ta","tum",".","ta","ta","tum",".","ta","ta","tum",".","ta"];
+
+//entry with some of the slots of plain replaced
+function withSlots(slots){
+    var strokes = plain.slice();
+    Object.keys(slots).forEach(function(index){
+	strokes[index] = slots[index];
+    });
+    return [strokes, [0, 0, 4], [], 0];
+}
+
+assert.deepEqual(validator.checkEntry(withSlots({}), options), []);
+assert.deepEqual(validator.checkEntry(withSlots({1: ["ta", "te"], 5: ["tum", ["ta", "te"]]}), options), []);
+
+//strokes that are not strokes and empty groups are named with their slot
+assert.deepEqual(validator.checkEntry(withSlots({3: [[1, 2]]}), options), ["1 is not a stroke at position 4"]);
+assert.deepEqual(validator.checkEntry(withSlots({2: [], 6: ["ta", []]}), options), [
+    "empty group at position 3",
+    "empty group at position 7"
+]);
+
+//the command line names the pattern and the slot, and fails
+var file = path.join(os.tmpdir(), "validatePatterns-test-" + process.pid + ".json");
+fs.writeFileSync(file, JSON.stringify({
+    instrument: "kanjira",
+    tala: "chatusra eka",
+    patterns: [{id: "kanjira-01", strokes: withSlots({3: [[1, 2]], 6: []})[0], nadai: [0, 0, 4]}]
+}));
+var run = child.spawnSync(process.execPath, [path.join(__dirname, "..", "validatePatterns.js"), file], {encoding: "utf8"});
+fs.unlinkSync(file);
+assert.equal(run.status, 1);
+assert.ok(run.stdout.indexOf("patterns[0].strokes[3][0][0]: expected string or array but found number") != -1, run.stdout);
+assert.ok(run.stdout.indexOf("patterns[0].strokes[6]: expected at least 1 items but found 0") != -1, run.stdout);
+
+console.log("patternValidator: ok");
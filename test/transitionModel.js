@@ -0,0 +1,31 @@
+/*
+
+Tests for transitionModel.js, run with node test/transitionModel.js
+
+*/
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var transitions = require("../transitionModel");
+var library = require("../patternLibrary");
+var patternsList = require("../patternsList");
+
+//a model trained on the library, as trainTransitions.js does by default
+var lib = library.fromJSON(fs.readFileSync(path.join(__dirname, "..", "patterns", "kanjira.json"), "utf8"));
+var model = transitions.train(transitions.create(), lib.entries);
+
+//the patterns the player has by default are the patterns of the library
+var history = [patternsList.kSol[0]];
+var costs = patternsList.kSol.map(function(entry){
+    return transitions.cost(model, history, entry);
+});
+lib.entries.forEach(function(entry, index){
+    assert.equal(transitions.cost(model, [lib.entries[0]], entry), costs[index]);
+});
+
+//and the transitions the model has seen are less costly than those it has not
+assert.ok(costs[1] < costs[2], "kanjira-02 follows kanjira-01 in the library");
+assert.notEqual(costs.filter(function(c){ return c == costs[0]; }).length, costs.length);
+
+console.log("transitionModel: ok");
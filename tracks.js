@@ -0,0 +1,95 @@
+/*
+
+Tracks -- the tracks of strokes that play.js plays, made for a scheduler: the Steller
+scheduler when playing live, or the stand-in of offlineScheduler.js when rendering a
+performance (see offlineRender.js), so that both time the strokes alike.
+
+Times in the tracks are in units (strokes at speed 4), a track is played at the rate of
+the clock of the tala (units per second).
+
+sounds -> stroke -> sound model, whose trigger(loudness) is the action that plays it
+
+*/
+
+var rhythm = require("./rhythmObject");
+var talas = require("./tala");
+var utils = require("./utilities");
+
+var rhythmPattern = rhythm.rhythmPattern;
+
+//turns the play arrays of a rhythm object ([loudness, speed, diction]) into a track
+//onStroke(stroke, clock, loudness) is called as each stroke is played when it is given
+function strokeTrack(sh, sounds, play, onStroke){
+    var strokeAccent = play[0];
+    var strokeTempo = play[1];
+    var strokeSeq = play[2];
+
+    return sh.track(strokeSeq.map(function(s, index){
+	if(s == "." || !sounds[s]){
+	    return sh.delay(4.0 / strokeTempo[index]);
+	}
+	var hit = sounds[s].trigger(strokeAccent[index]);
+	if(onStroke){
+	    hit = sh.track(sh.fire(function(clock){
+		onStroke(s, clock, strokeAccent[index]);
+	    }), hit);
+	}
+	return sh.track([hit, sh.delay(4.0 / strokeTempo[index])]);
+    }));
+}
+
+//the accompaniment, a pattern at a time, each started at its eduppu in the tala cycle
+//options.next() -> [diction, ts, loudness, eduppu] entry played next, null to stop
+//options.tala() -> tala followed, options.shift() -> units samam of the lead is after samam of the tala (0 by default)
+//options.join -> units before the first pattern (eg: a cycle of the lead), options.instrument and options.onStroke
+function accompaniment(sh, sounds, options){
+    var shift = options.shift || function(){ return 0; };
+    var phase = 0; //position in the tala cycle (units from samam) that the accompaniment has reached
+
+    var generator = sh.loop(sh.dynamic(function(clock){
+	var entry = options.next();
+	if(!entry){
+	    return sh.stop;
+	}
+	var play = rhythmPattern(entry[0], entry[2] || [], entry[1], entry[3], options.instrument);
+
+	//wait for the eduppu of the pattern to come around in the cycle
+	var cycle = options.tala().units;
+	var gap = utils.modovr(play[3] + shift() - phase, cycle);
+	var units = play[2].map(function(seg){ return seg.units; }).reduce(utils.sum, 0);
+	phase = utils.modovr(play[3] + shift() + units, cycle);
+
+	return sh.track(sh.delay(gap), strokeTrack(sh, sounds, play[0], options.onStroke));
+    }));
+
+    return sh.track(sh.delay(options.join || 0), generator);
+}
+
+//the click track of the tala, a cycle at a time, a cycle starts late by as much as options.shift() has moved
+//since the last one, options.tala() -> tala followed, null to stop, options.shift() as for accompaniment
+//options.onCycle(clock) -> called as each cycle starts, options.onStroke as for strokeTrack
+function talaTrack(sh, sounds, options){
+    var shift = options.shift || function(){ return 0; };
+    var last = 0; //shift the cycles have started with so far
+
+    return sh.loop(sh.dynamic(function(clock){
+	var tala = options.tala();
+	if(!tala){
+	    return sh.stop;
+	}
+	var now = shift();
+	var late = utils.modovr(now - last, tala.units);
+	last = now;
+	var click = talas.clickTrack(tala);
+	var play = rhythmPattern(click[0], click[2], click[1]);
+	return sh.track(sh.delay(late), sh.fire(function(clock){
+	    if(options.onCycle){
+		options.onCycle(clock);
+	    }
+	}), strokeTrack(sh, sounds, play[0], options.onStroke));
+    }));
+}
+
+exports.strokeTrack = strokeTrack;
+exports.accompaniment = accompaniment;
+exports.talaTrack = talaTrack;
@@ -0,0 +1,89 @@
+/*
+
+Trains a transition model (see transitionModel.js) from ordered sequences of
+accompaniment patterns from the command line
+
+node trainTransitions.js                                    -> the order of patterns/kanjira.json
+node trainTransitions.js patterns/kanjira.json session.json -> libraries and saved sessions or performances
+node trainTransitions.js session.json --order 3 --out transitions.json
+
+Each file is either a pattern library, whose patterns are taken in the order they are
+listed, or a performance (see offlineRender.js), eg: a session saved by the player,
+whose accompaniment patterns are taken in the order they were played, with the library
+ids the performance has for them. Libraries and performances of other instruments than
+--instrument (kanjira by default) are left out.
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var library = require("./patternLibrary");
+var transitions = require("./transitionModel");
+
+//ordered patterns of a library or a performance file, null when they are of another instrument
+function sequence(file, instrument){
+    var data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if(data.accompaniment){
+	if((data.accompaniment.instrument || "kanjira") != instrument){
+	    return null;
+	}
+	var ids = data.accompaniment.ids || [];
+	return (data.accompaniment.patterns || []).map(function(entry, i){
+	    if(ids[i] !== undefined && ids[i] !== null){
+		entry.id = ids[i];
+	    }
+	    return entry;
+	});
+    }
+    var lib = library.fromJSON(data);
+    return lib.instrument == instrument ? lib.entries : null;
+}
+
+function main(args){
+    var options = {order: "2", alpha: "1", instrument: "kanjira", out: null};
+    var files = [];
+    for(var i=0; i<args.length; i++){
+	if(args[i].indexOf("--") != 0){
+	    files.push(args[i]);
+	    continue;
+	}
+	var key = args[i].replace(/^--/, "");
+	if(!(key in options) || i + 1 >= args.length){
+	    console.error("usage: node trainTransitions.js [files] [--order n] [--alpha a] [--instrument name] [--out file]");
+	    process.exit(1);
+	}
+	options[key] = args[++i];
+    }
+    if(files.length == 0){
+	files = [path.join(__dirname, "patterns", "kanjira.json")];
+    }
+
+    var model = transitions.create(parseInt(options.order, 10), parseFloat(options.alpha));
+    var patterns = 0;
+    try{
+	files.forEach(function(file){
+	    var seq = sequence(file, options.instrument);
+	    if(seq === null){
+		console.error(file + ": not " + options.instrument + " patterns, left out");
+		return;
+	    }
+	    transitions.train(model, seq);
+	    patterns += seq.length;
+	});
+    }
+    catch(err){
+	console.error(err.message);
+	process.exit(1);
+    }
+
+    var text = JSON.stringify(model) + "\n";
+    if(options.out){
+	fs.writeFileSync(options.out, text);
+	console.error(options.out + ": " + patterns + " patterns, " + Object.keys(model.vocabulary).length + " different, order " + model.order);
+    }
+    else{
+	process.stdout.write(text);
+    }
+}
+
+main(process.argv.slice(2));
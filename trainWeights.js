@@ -0,0 +1,255 @@
+/*
+
+Learns the weights of the distance computation from labelled pairs, so that the
+pairs judged acceptable come out closer than the ones judged unacceptable
+
+node trainWeights.js judgments.json                     -> prints the learned weights
+node trainWeights.js a.json b.json --out weights.json   -> several files, writes the weights file the player loads
+node trainWeights.js judgments.json --metric accent     -> trains for another metric of distanceMetrics.js
+
+A judgments file is written by the Dump button of autoAccompaniment.html:
+
+{
+    "tala": "chatusra eka",
+    "judgments": [
+        {"label": "acceptable" or "unacceptable",
+         "lead": [diction, ts, loudness, eduppu] or the id of a pattern of --lead,
+         "accompaniment": [diction, ts, loudness, eduppu] or the id of a pattern of --acc}, ...
+    ]
+}
+
+--lead and --acc are the libraries ids are looked up in, patterns/mridangam.json and
+patterns/kanjira.json by default.
+
+The weight of each stroke found in the judged patterns, the accent weights and the
+loudness boost (see instruments.js) are searched one at a time within their range, and
+the step is halved when none of them improves the ranking of the pairs. Accent weights
+only change the accent metric.
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+var library = require("./patternLibrary");
+var rhythm = require("./rhythmObject");
+var distance = require("./patternDistance");
+var metrics = require("./distanceMetrics");
+var instruments = require("./instruments");
+var talas = require("./tala");
+
+var rhythmPattern = rhythm.rhythmPattern;
+
+var labels = ["acceptable", "unacceptable"];
+
+function readLibrary(file){
+    return library.fromJSON(fs.readFileSync(file, "utf8"));
+}
+
+//entry of a judged pattern, given as an entry or as the id of a library pattern
+function entryOf(pattern, lib, where){
+    if(Array.isArray(pattern)){
+	return pattern;
+    }
+    var i = lib.ids.indexOf(pattern);
+    if(i == -1){
+	throw new Error(where + ": no pattern '" + pattern + "' in the " + lib.instrument + " library");
+    }
+    return lib.entries[i];
+}
+
+//reads judgment files -> [{label, lead, accompaniment}] with entries for both patterns
+function readJudgments(files, lead, acc){
+    var tala = null, list = [];
+    files.forEach(function(file){
+	var data = JSON.parse(fs.readFileSync(file, "utf8"));
+	if(data.tala){
+	    if(tala && talas.lookup(tala).units != talas.lookup(data.tala).units){
+		throw new Error(file + " is in " + data.tala + " but the other judgments are in " + tala);
+	    }
+	    tala = data.tala;
+	}
+	(data.judgments || []).forEach(function(j, index){
+	    var where = file + " judgment " + (index + 1);
+	    if(labels.indexOf(j.label) == -1){
+		throw new Error(where + ": label should be one of " + labels.join(", "));
+	    }
+	    list.push({
+		label: j.label,
+		lead: entryOf(j.lead, lead, where),
+		accompaniment: entryOf(j.accompaniment, acc, where)
+	    });
+	});
+    });
+    return {tala: tala, judgments: list};
+}
+
+//distance of each judged pair with the weights in use
+function distances(judgments, instrumentNames, metric){
+    return judgments.map(function(j){
+	var m = j.lead, k = j.accompaniment;
+	var mr = rhythmPattern(m[0], m[2] || [], m[1], m[3], instrumentNames.lead)[1];
+	var kan = rhythmPattern(k[0], k[2] || [], k[1], k[3], instrumentNames.accompaniment)[1];
+	return distance.compare(mr, kan, metric)[0];
+    });
+}
+
+//how well the distances rank the pairs -> {loss, accuracy}
+//every acceptable pair is set against every unacceptable one, loss is the mean of a sigmoid of
+//how much closer the unacceptable pair is (relative to the mean distance) and accuracy is the
+//share of acceptable pairs that are closer
+function ranking(judgments, d){
+    var mean = d.reduce(function(a, b){ return a + b; }, 0) / d.length || 1;
+    var loss = 0, right = 0, n = 0;
+    judgments.forEach(function(a, i){
+	if(a.label != "acceptable"){
+	    return;
+	}
+	judgments.forEach(function(u, j){
+	    if(u.label != "unacceptable"){
+		return;
+	    }
+	    loss += 1 / (1 + Math.exp(-4 * (d[i] - d[j]) / mean));
+	    right += d[i] < d[j] ? 1 : 0;
+	    n++;
+	});
+    });
+    return {loss: loss / n, accuracy: right / n};
+}
+
+//weights that can be learned from the judgments -> [{path, min, max}], path into instruments.config()
+function parameters(judgments, instrumentNames){
+    var list = [], seen = {};
+    function strokes(entry, instrument){
+	entry[0].forEach(function(slot){
+	    rhythm.eachStroke(slot, 4, function(s){
+		var name = instruments.instrumentOf(s, instrument);
+		var stroke = name && instruments.alias(s, name);
+		if(name && instruments.get(name).strokes[stroke] && !seen[name + " " + stroke]){
+		    seen[name + " " + stroke] = true;
+		    list.push({path: ["weights", name, stroke], min: 0, max: 2});
+		}
+	    });
+	});
+    }
+    judgments.forEach(function(j){
+	strokes(j.lead, instrumentNames.lead);
+	strokes(j.accompaniment, instrumentNames.accompaniment);
+    });
+    return list.concat([
+	{path: ["accentWeights", "back"], min: 0, max: 1},
+	{path: ["accentWeights", "front"], min: 0, max: 1},
+	{path: ["loudnessBoost"], min: 0, max: 4}
+    ]);
+}
+
+function getValue(config, p){
+    return p.path.reduce(function(o, key){ return o[key]; }, config);
+}
+
+function setValue(config, p, value){
+    var o = config;
+    p.path.slice(0, -1).forEach(function(key){
+	o = o[key];
+    });
+    o[p.path[p.path.length - 1]] = value;
+    instruments.configure(config);
+}
+
+//searches the weights, leaves the learned ones in instruments.js and returns the ranking before and after
+//options.metric -> metric trained for, options.rounds -> most rounds of the search (100 by default)
+function train(judgments, instrumentNames, options){
+    if(!labels.every(function(label){
+	return judgments.some(function(j){ return j.label == label; });
+    })){
+	throw new Error("training needs both acceptable and unacceptable judgments");
+    }
+    var config = instruments.config();
+    var params = parameters(judgments, instrumentNames);
+    var score = function(){
+	return ranking(judgments, distances(judgments, instrumentNames, options.metric));
+    };
+    var before = score(), best = before;
+    var step = 0.1, rounds = options.rounds || 100;
+
+    for(var round=0; round<rounds && step > 0.001; round++){
+	var improved = false;
+	params.forEach(function(p){
+	    [1, -1].forEach(function(dir){
+		var old = getValue(config, p);
+		var value = Math.round(1000 * Math.min(p.max, Math.max(p.min, old + dir * step * (p.max - p.min)))) / 1000;
+		if(value == old){
+		    return;
+		}
+		setValue(config, p, value);
+		var s = score();
+		if(s.loss < best.loss - 1e-9){
+		    best = s;
+		    improved = true;
+		}
+		else{
+		    setValue(config, p, old);
+		}
+	    });
+	});
+	if(!improved){
+	    step /= 2;
+	}
+    }
+    return {before: before, after: best};
+}
+
+function main(args){
+    var options = {
+	lead: path.join(__dirname, "patterns", "mridangam.json"),
+	acc: path.join(__dirname, "patterns", "kanjira.json"),
+	metric: metrics.current(),
+	rounds: "100",
+	out: null
+    };
+    var files = [];
+    for(var i=0; i<args.length; i++){
+	if(args[i].indexOf("--") != 0){
+	    files.push(args[i]);
+	    continue;
+	}
+	var key = args[i].replace(/^--/, "");
+	if(!(key in options) || i + 1 >= args.length){
+	    files = [];
+	    break;
+	}
+	options[key] = args[++i];
+    }
+    if(files.length == 0){
+	console.error("usage: node trainWeights.js judgments.json [...] [--lead file] [--acc file] [--metric name] [--rounds n] [--out file]");
+	process.exit(1);
+    }
+
+    var result, data, instrumentNames;
+    try{
+	metrics.resolve(options.metric);
+	var lead = readLibrary(options.lead), acc = readLibrary(options.acc);
+	instrumentNames = {lead: lead.instrument, accompaniment: acc.instrument};
+	data = readJudgments(files, lead, acc);
+	talas.select(data.tala || acc.tala);
+	result = train(data.judgments, instrumentNames, {metric: options.metric, rounds: parseInt(options.rounds, 10)});
+    }
+    catch(err){
+	console.error(err.message);
+	process.exit(1);
+    }
+
+    console.error(data.judgments.length + " judgments, " + options.metric + " metric");
+    console.error("pairs ranked right: " + (100 * result.before.accuracy).toFixed(1) + "% before, " + (100 * result.after.accuracy).toFixed(1) + "% after");
+
+    var config = instruments.config();
+    config.training = {judgments: data.judgments.length, metric: options.metric, accuracy: result.after.accuracy};
+    var text = JSON.stringify(config, null, 2) + "\n";
+    if(options.out){
+	fs.writeFileSync(options.out, text);
+    }
+    else{
+	process.stdout.write(text);
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,87 @@
+/*
+
+Transition model -- an n-gram model of which accompaniment pattern follows which,
+trained on ordered sequences of patterns (the order of a library, the patterns of a
+recorded session or of a performance), so that the accompaniment can prefer patterns
+that follow naturally from the ones it has just played.
+
+A model is {order, alpha, counts, vocabulary}
+
+order      -> patterns in an n-gram, 2 looks at the previous pattern only
+alpha      -> added to every count so that transitions never seen are not impossible
+counts     -> context -> pattern -> count, context is the keys of the previous patterns joined by "|"
+vocabulary -> pattern -> number of times it was seen
+
+Patterns are told apart by their library id (see patternLibrary.js), and patterns that
+have none (eg: generated ones) by their strokes and nadai, so the same pattern played at
+another eduppu or loudness counts as the same pattern.
+
+When a context was never seen the model backs off to shorter ones, down to how often
+the pattern is played at all.
+
+*/
+
+//key of a [diction, ts, loudness, eduppu] entry, its id when it has one
+function key(entry){
+    return entry.id !== undefined ? entry.id : JSON.stringify([entry[0], entry[1]]);
+}
+
+function create(order, alpha){
+    return {order: order || 2, alpha: alpha === undefined ? 1 : alpha, counts: {}, vocabulary: {}};
+}
+
+//adds the transitions of a sequence of entries to the model
+function train(model, sequence){
+    var keys = sequence.map(key);
+    keys.forEach(function(k, i){
+	model.vocabulary[k] = (model.vocabulary[k] || 0) + 1;
+	for(var n=1; n<model.order && n<=i; n++){
+	    var context = keys.slice(i - n, i).join("|");
+	    var next = model.counts[context] = model.counts[context] || {};
+	    next[k] = (next[k] || 0) + 1;
+	}
+    });
+    return model;
+}
+
+function total(counts){
+    return Object.keys(counts).reduce(function(t, k){
+	return t + counts[k];
+    }, 0);
+}
+
+//probability that entry follows the entries of history (oldest first)
+function probability(model, history, entry){
+    var k = key(entry);
+    var size = Object.keys(model.vocabulary).length + (model.vocabulary[k] ? 0 : 1);
+    var keys = history.map(key);
+    for(var n=Math.min(model.order - 1, keys.length); n>=1; n--){
+	var counts = model.counts[keys.slice(keys.length - n).join("|")];
+	if(counts){
+	    return ((counts[k] || 0) + model.alpha) / (total(counts) + model.alpha * size);
+	}
+    }
+    return ((model.vocabulary[k] || 0) + model.alpha) / (total(model.vocabulary) + model.alpha * size);
+}
+
+//how unnatural it is for entry to follow history, -log of its probability, 0 when it is certain
+function cost(model, history, entry){
+    return -Math.log(probability(model, history, entry));
+}
+
+//checks a model read from a file, eg: written by trainTransitions.js
+function fromJSON(json){
+    var model = typeof json == "string" ? JSON.parse(json) : json;
+    if(!(model.order >= 1) || typeof model.counts != "object" || typeof model.vocabulary != "object"){
+	throw new Error("not a transition model, expected {order, alpha, counts, vocabulary}");
+    }
+    model.alpha = model.alpha === undefined ? 1 : model.alpha;
+    return model;
+}
+
+exports.key = key;
+exports.create = create;
+exports.train = train;
+exports.probability = probability;
+exports.cost = cost;
+exports.fromJSON = fromJSON;
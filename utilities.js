@@ -11,11 +11,10 @@ function generateBaseValue(duration, baseValue){
     return arr;
 }
 
-function getEle(htmlElement){
-	if( !document.getElementById(htmlElement)){
-		debugger;
-	}
-    return eval(document.getElementById(htmlElement).value);
+//loudness at which a hit of the given MIDI velocity is played
+function velocityLoudness(vel){
+    var low = 30, high = 127, maxAmp = 2.0;
+    return ( (vel - low )/ ( high- low) ) * maxAmp;
 }
 
 //returns 1 if element found in array and returns 0 if no element is found
@@ -85,11 +84,9 @@ function generateRandArr(duration, numValues){
     return arr;
 }
 
+//returns num % modn, wrapped to lie between 0 and modn for negative numbers too
 function modovr(num, modn ){
-    if(num < 0){
-	num = modn + num;
-    }
-    return num % modn;
+    return ((num % modn) + modn) % modn;
 }
 
 function multiTo1DArr( multiSeq ){ 
@@ -224,7 +221,7 @@ else{
 }
 
 
-exports.getEle = getEle;
+exports.velocityLoudness = velocityLoudness;
 exports.generateBaseValue = generateBaseValue;
 exports.findLcm = findLcm;
 exports.arrElementCmp = arrElementCmp;
@@ -232,4 +229,6 @@ exports.maxi = maxi;
 exports.modnum = modnum;
 exports.sum = sum;
 exports.multiTo1D = multiTo1D;
-exports.wholeRand = wholeRand;
\ No newline at end of file
+exports.wholeRand = wholeRand;
+exports.numOccurences = numOccurences;
+exports.modovr = modovr;
\ No newline at end of file
@@ -0,0 +1,105 @@
+/*
+
+Checks the pattern library from the command line with patternValidator.js
+
+node validatePatterns.js                      -> patternsList.js and every library in patterns/
+node validatePatterns.js patterns/kanjira.json -> the given library files
+node validatePatterns.js --tala "misra chapu"  -> patternsList.js in another tala
+
+Strokes are checked against the samples of instruments.js found in audio/, exits with 1 when a pattern has problems.
+
+*/
+
+var fs = require("fs");
+var path = require("path");
+
+var root = __dirname;
+
+var validator = require("./patternValidator");
+var library = require("./patternLibrary");
+var talas = require("./tala");
+var instruments = require("./instruments");
+
+//strokes of instruments.js whose sample is in audio/
+function samples(){
+    return instruments.samples().filter(function(s){
+	return fs.existsSync(path.join(root, "audio", s.sample + ".wav"));
+    }).map(function(s){
+	return s.stroke;
+    });
+}
+
+//prints the problems of a list of entries, returns the number of bad entries
+function report(name, entries, ids, options){
+    var problems = validator.checkEntries(entries, options);
+    problems.forEach(function(p){
+	console.log(name + " " + ids[p.index] + ":");
+	p.errors.forEach(function(e){
+	    console.log("    " + e);
+	});
+    });
+    console.log(name + ": " + entries.length + " patterns, " + problems.length + " with problems");
+    return problems.length;
+}
+
+function checkList(options){
+    var list = require("./patternsList");
+    var bad = 0;
+    ["mSol", "kSol"].forEach(function(name){
+	var ids = list[name].map(function(e, index){ return "[" + index + "]"; });
+	bad += report("patternsList.js " + name, list[name], ids, options);
+    });
+    return bad;
+}
+
+function checkFile(file, options){
+    var json;
+    try{
+	json = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+    catch(err){
+	console.log(file + ": " + err.message);
+	return 1;
+    }
+    var errors = [];
+    try{
+	library.validate(json, {strokes: options.strokes});
+    }
+    catch(err){
+	errors = err.errors || [err.message];
+    }
+    errors.forEach(function(e){
+	console.log(file + ": " + e);
+    });
+    console.log(file + ": " + (json.patterns || []).length + " patterns, " + errors.length + " problems");
+    return errors.length;
+}
+
+function main(args){
+    var options = {strokes: samples(), tala: talas.current()};
+    var files = [];
+    for(var i=0; i<args.length; i++){
+	if(args[i] == "--tala"){
+	    options.tala = talas.lookup(args[++i]);
+	}
+	else{
+	    files.push(args[i]);
+	}
+    }
+
+    var bad = 0;
+    if(files.length == 0){
+	bad += checkList(options);
+	files = fs.readdirSync(path.join(root, "patterns")).filter(function(f){
+	    return /\.json$/.test(f);
+	}).map(function(f){
+	    return path.join(root, "patterns", f);
+	});
+    }
+    files.forEach(function(f){
+	bad += checkFile(f, options);
+    });
+    process.exit(bad > 0 ? 1 : 0);
+}
+
+main(process.argv.slice(2));
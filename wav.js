@@ -0,0 +1,145 @@
+/*
+
+WAV module -- reads and writes PCM WAV files.
+
+Audio is {sampleRate, channels}, channels holds one Float32Array per channel with
+samples between -1 and 1.
+
+decode -> 8, 16, 24 and 32 bit integer PCM and 32 bit float files
+encode -> 16 or 24 bit integer PCM, samples outside -1..1 are clipped
+
+*/
+
+//error thrown for a file that is not a WAV file this module can read
+function WavError(message){
+    this.name = "WavError";
+    this.message = message;
+}
+WavError.prototype = Object.create(Error.prototype);
+WavError.prototype.constructor = WavError;
+
+function text(bytes, pos, n){
+    var s = "";
+    for(var i=0; i<n; i++){
+	s += String.fromCharCode(bytes[pos + i]);
+    }
+    return s;
+}
+
+//reads one sample of the given format at pos
+function sampleAt(view, pos, bits, format){
+    if(format == 3){
+	return view.getFloat32(pos, true);
+    }
+    if(bits == 8){
+	return (view.getUint8(pos) - 128) / 128;
+    }
+    if(bits == 16){
+	return view.getInt16(pos, true) / 32768;
+    }
+    if(bits == 24){
+	var n = view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+	return n / 8388608;
+    }
+    return view.getInt32(pos, true) / 2147483648;
+}
+
+//parses the bytes of a WAV file -> {sampleRate, channels}
+function decode(bytes){
+    bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if(bytes.length < 12 || text(bytes, 0, 4) != "RIFF" || text(bytes, 8, 4) != "WAVE"){
+	throw new WavError("not a WAV file");
+    }
+
+    var fmt = null, data = null, pos = 12;
+    while(pos + 8 <= bytes.length){
+	var id = text(bytes, pos, 4), size = view.getUint32(pos + 4, true);
+	if(id == "fmt "){
+	    fmt = {
+		format: view.getUint16(pos + 8, true),
+		channels: view.getUint16(pos + 10, true),
+		sampleRate: view.getUint32(pos + 12, true),
+		bits: view.getUint16(pos + 22, true)
+	    };
+	}
+	else if(id == "data"){
+	    data = {start: pos + 8, size: Math.min(size, bytes.length - pos - 8)};
+	}
+	pos += 8 + size + (size % 2);
+    }
+    if(!fmt || !data){
+	throw new WavError("WAV file has no " + (fmt ? "data" : "fmt ") + " chunk");
+    }
+    if(fmt.format == 0xfffe){
+	fmt.format = fmt.bits == 32 ? 3 : 1; //extensible files are read by their sample size
+    }
+    if((fmt.format != 1 && fmt.format != 3) || [8, 16, 24, 32].indexOf(fmt.bits) == -1 || (fmt.format == 3 && fmt.bits != 32)){
+	throw new WavError("unsupported WAV format " + fmt.format + " with " + fmt.bits + " bit samples");
+    }
+
+    var width = fmt.bits / 8, frame = width * fmt.channels;
+    var frames = Math.floor(data.size / frame);
+    var channels = [];
+    for(var c=0; c<fmt.channels; c++){
+	var samples = new Float32Array(frames);
+	for(var i=0; i<frames; i++){
+	    samples[i] = sampleAt(view, data.start + i*frame + c*width, fmt.bits, fmt.format);
+	}
+	channels.push(samples);
+    }
+    return {sampleRate: fmt.sampleRate, channels: channels};
+}
+
+//writes audio as a WAV file of 16 or 24 bit samples, returns its bytes
+function encode(audio, bits){
+    bits = bits || 16;
+    if(bits != 16 && bits != 24){
+	throw new WavError("only 16 and 24 bit WAV files can be written");
+    }
+    var channels = audio.channels, width = bits / 8;
+    var frames = channels.length > 0 ? channels[0].length : 0;
+    var size = frames * channels.length * width;
+    var bytes = new Uint8Array(44 + size);
+    var view = new DataView(bytes.buffer);
+
+    function writeText(pos, s){
+	for(var i=0; i<s.length; i++){
+	    bytes[pos + i] = s.charCodeAt(i);
+	}
+    }
+    writeText(0, "RIFF");
+    view.setUint32(4, 36 + size, true);
+    writeText(8, "WAVE");
+    writeText(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, audio.sampleRate, true);
+    view.setUint32(28, audio.sampleRate * channels.length * width, true);
+    view.setUint16(32, channels.length * width, true);
+    view.setUint16(34, bits, true);
+    writeText(36, "data");
+    view.setUint32(40, size, true);
+
+    var max = bits == 16 ? 32767 : 8388607, pos = 44;
+    for(var i=0; i<frames; i++){
+	for(var c=0; c<channels.length; c++){
+	    var n = Math.round(Math.max(-1, Math.min(1, channels[c][i])) * max);
+	    if(bits == 16){
+		view.setInt16(pos, n, true);
+	    }
+	    else{
+		bytes[pos] = n & 0xff;
+		bytes[pos + 1] = (n >> 8) & 0xff;
+		bytes[pos + 2] = (n >> 16) & 0xff;
+	    }
+	    pos += width;
+	}
+    }
+    return bytes;
+}
+
+exports.WavError = WavError;
+exports.decode = decode;
+exports.encode = encode;